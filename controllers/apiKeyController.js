@@ -0,0 +1,157 @@
+const ApiKey = require('../models/ApiKey');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { createApiKey: issueApiKey, isValidIpRule } = require('../services/apiKeys');
+const { getRolePermissions, getMissingPermissions } = require('../services/permissions');
+
+// Issue a key. The plain key is in this response only.
+const createApiKey = async (req, res) => {
+    try {
+        const { name, userId, permissions, allowedIps, expiresAt } = req.body;
+
+        if (!name || typeof name !== 'string' || name.trim() === '') {
+            return res.status(400).json({ message: 'Name is required' });
+        }
+        if (!Array.isArray(permissions) || permissions.length === 0) {
+            return res.status(400).json({ message: 'At least one permission is required' });
+        }
+        const unknown = permissions.filter(permission => !Role.PERMISSIONS[permission]);
+        if (unknown.length > 0) {
+            return res.status(400).json({ message: `Unknown permissions: ${unknown.join(', ')}` });
+        }
+        if (allowedIps !== undefined && (!Array.isArray(allowedIps) || !allowedIps.every(isValidIpRule))) {
+            return res.status(400).json({ message: 'allowedIps must be a list of IP addresses or IPv4 CIDR ranges' });
+        }
+        let expiry;
+        if (expiresAt !== undefined) {
+            expiry = new Date(expiresAt);
+            if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+                return res.status(400).json({ message: 'expiresAt must be a date in the future' });
+            }
+        }
+
+        // The key acts as this user; defaults to the admin issuing it
+        const user = userId ? await User.findById(userId) : req.user;
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        // Nobody can issue a key for more than they hold themselves, and a key
+        // only lists permissions its user's role actually grants
+        const missing = await getMissingPermissions(req.user, permissions);
+        if (missing.length > 0) {
+            return res.status(403).json({ message: `You do not hold these permissions: ${missing.join(', ')}` });
+        }
+        const userPermissions = await getRolePermissions(user.role);
+        const notGranted = permissions.filter(permission => !userPermissions.has(permission));
+        if (notGranted.length > 0) {
+            return res.status(400).json({ message: `The user's role does not grant: ${notGranted.join(', ')}` });
+        }
+
+        const { apiKey, key } = await issueApiKey({
+            name: name.trim(),
+            user: user._id,
+            permissions,
+            allowedIps: allowedIps || [],
+            expiresAt: expiry,
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({
+            message: 'API key created. Store it now; it cannot be shown again',
+            key,
+            data: apiKey
+        });
+    } catch (error) {
+        console.error('Error creating API key:', error);
+        res.status(500).json({ message: 'Failed to create API key' });
+    }
+};
+
+// List keys with filters
+const getApiKeys = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+        const { user, active } = req.query;
+
+        const query = {};
+        if (user) query.user = user;
+        if (active === 'true') {
+            query.revokedAt = null;
+            query.$or = [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }];
+        }
+
+        const apiKeys = await ApiKey.find(query)
+            .populate('user', 'name email role')
+            .populate('createdBy', 'name email')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit);
+
+        const total = await ApiKey.countDocuments(query);
+
+        res.json({
+            apiKeys,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error getting API keys:', error);
+        res.status(500).json({ message: 'Failed to get API keys' });
+    }
+};
+
+// Get a single key
+const getApiKey = async (req, res) => {
+    try {
+        const apiKey = await ApiKey.findById(req.params.id)
+            .populate('user', 'name email role')
+            .populate('createdBy', 'name email')
+            .populate('revokedBy', 'name email');
+        if (!apiKey) {
+            return res.status(404).json({ message: 'API key not found' });
+        }
+        res.json(apiKey);
+    } catch (error) {
+        console.error('Error getting API key:', error);
+        res.status(500).json({ message: 'Failed to get API key' });
+    }
+};
+
+// Revoke a key; it stops working immediately
+const revokeApiKey = async (req, res) => {
+    try {
+        const apiKey = await ApiKey.findById(req.params.id);
+        if (!apiKey) {
+            return res.status(404).json({ message: 'API key not found' });
+        }
+        if (apiKey.revokedAt) {
+            return res.status(409).json({ message: 'API key is already revoked' });
+        }
+
+        apiKey.revokedAt = new Date();
+        apiKey.revokedBy = req.user._id;
+        await apiKey.save();
+
+        res.json({
+            message: 'API key revoked',
+            data: apiKey
+        });
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        res.status(500).json({ message: 'Failed to revoke API key' });
+    }
+};
+
+module.exports = {
+    createApiKey,
+    getApiKeys,
+    getApiKey,
+    revokeApiKey
+};
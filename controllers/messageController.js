@@ -1,5 +1,6 @@
 const Message = require('../models/Message');
 const User = require('../models/User');
+const { getRolesWithPermission } = require('../services/permissions');
 
 // Helper function to emit Socket.IO events
 const emitSocketEvent = (req, event, data) => {
@@ -37,8 +38,9 @@ const sendMessageToAdmin = async (req, res) => {
             return res.status(400).json({ message: 'Message body is required' });
         }
 
-        // Find an admin to send the message to
-        const admin = await User.findOne({ role: 'admin' });
+        // Find someone who can answer chats to send the message to
+        const supportRoles = await getRolesWithPermission('messages:reply');
+        const admin = await User.findOne({ role: { $in: supportRoles }, disabled: { $ne: true } });
         if (!admin) {
             return res.status(404).json({ message: 'No admin available' });
         }
@@ -0,0 +1,48 @@
+const Payment = require('../models/Payment');
+const Order = require('../models/Order');
+const payments = require('../services/payments');
+const { hasPermission } = require('../services/permissions');
+
+// Receive a signed webhook from a payment provider
+const handleWebhook = async (req, res) => {
+    try {
+        const { payment } = await payments.handleWebhook(req.params.provider, req.rawBody, req.headers);
+        res.json({
+            received: true,
+            status: payment.status
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error handling payment webhook:', error);
+        res.status(500).json({ message: 'Failed to process webhook' });
+    }
+};
+
+// Get every payment attempt for an order (owner, or payments:manage)
+const getOrderPayments = async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.orderId);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+        if (order.user.toString() !== req.user._id.toString() && !(await hasPermission(req.user, 'payments:manage'))) {
+            return res.status(403).json({ message: 'Not authorized to view payments for this order' });
+        }
+
+        const attempts = await Payment.find({ order: order._id }).sort({ createdAt: -1 });
+        res.json({
+            paymentStatus: order.paymentStatus,
+            payments: attempts
+        });
+    } catch (error) {
+        console.error('Error getting order payments:', error);
+        res.status(500).json({ message: 'Failed to get payments' });
+    }
+};
+
+module.exports = {
+    handleWebhook,
+    getOrderPayments
+};
@@ -0,0 +1,338 @@
+const mongoose = require('mongoose');
+const ReturnRequest = require('../models/Return');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { restockItems } = require('../services/orders');
+const { hasPermission } = require('../services/permissions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Quantity of each order item already covered by open or approved return requests
+const getReturnedQuantities = async (orderId, session = null) => {
+    const existing = await ReturnRequest.find({ order: orderId, status: { $ne: 'REJECTED' } }).session(session);
+    const quantities = {};
+    for (const request of existing) {
+        for (const item of request.items) {
+            const key = item.orderItem.toString();
+            quantities[key] = (quantities[key] || 0) + item.quantity;
+        }
+    }
+    return quantities;
+};
+
+// A. Buyer Endpoints
+
+// Open a return request on items of a delivered order
+const createReturnRequest = async (req, res) => {
+    try {
+        const { orderId, items, reason, photos } = req.body;
+
+        if (!orderId) {
+            return res.status(400).json({ message: 'orderId is required' });
+        }
+        if (!Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({ message: 'At least one item is required' });
+        }
+        if (!reason || reason.trim() === '') {
+            return res.status(400).json({ message: 'Reason is required' });
+        }
+        if (photos !== undefined && (!Array.isArray(photos) || photos.some(photo => typeof photo !== 'string'))) {
+            return res.status(400).json({ message: 'Photos must be an array of image URLs' });
+        }
+
+        const order = await Order.findById(orderId);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+        if (order.user.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ message: 'Not authorized to return items from this order' });
+        }
+        if (order.orderStatus !== 'DELIVERED') {
+            return res.status(409).json({ message: 'Only delivered orders can be returned' });
+        }
+
+        const deliveredAt = order.deliveryDate || order.updatedAt;
+        const returnItems = [];
+        const productNames = new Map();
+
+        for (const { itemId, quantity } of items) {
+            const orderItem = order.items.id(itemId);
+            if (!orderItem) {
+                return res.status(404).json({ message: `Order item ${itemId} not found` });
+            }
+            // Items of a cancelled seller group were restocked (and refunded) when it was cancelled
+            const group = order.fulfillments.find(entry => entry.items.some(id => id.equals(orderItem._id)));
+            if (group && group.status === 'CANCELLED') {
+                return res.status(409).json({ message: `Order item ${itemId} was cancelled and cannot be returned` });
+            }
+
+            const product = await Product.findById(orderItem.product).select('name category');
+            const productName = product ? product.name : 'item';
+            if (typeof quantity !== 'number' || quantity < 1) {
+                return res.status(400).json({ message: `Quantity for ${productName} must be at least 1` });
+            }
+
+            if (product) {
+                const windowDays = ReturnRequest.getReturnWindowDays(product.category);
+                if (Date.now() > deliveredAt.getTime() + windowDays * DAY_MS) {
+                    return res.status(400).json({
+                        message: `The ${windowDays}-day return window for ${productName} has closed`
+                    });
+                }
+            }
+
+            productNames.set(orderItem._id.toString(), productName);
+            returnItems.push({
+                orderItem: orderItem._id,
+                product: orderItem.product,
+                quantity,
+                price: orderItem.price
+            });
+        }
+
+        let returnRequest;
+        await mongoose.connection.transaction(async (session) => {
+            // Writing to the order first makes concurrent requests for it conflict,
+            // so the retried one counts the other's items as already returned
+            await Order.updateOne({ _id: order._id }, { $set: { updatedAt: new Date() } }, { session });
+
+            const returnedQuantities = await getReturnedQuantities(order._id, session);
+            for (const item of returnItems) {
+                const key = item.orderItem.toString();
+                const alreadyReturned = returnedQuantities[key] || 0;
+                const returnable = order.items.id(item.orderItem).quantity - alreadyReturned;
+                if (item.quantity > returnable) {
+                    throw Object.assign(
+                        new Error(`Quantity for ${productNames.get(key)} must be between 1 and ${returnable}`),
+                        { status: 400 }
+                    );
+                }
+                returnedQuantities[key] = alreadyReturned + item.quantity;
+            }
+
+            returnRequest = new ReturnRequest({
+                order: order._id,
+                user: req.user._id,
+                items: returnItems,
+                reason: reason.trim(),
+                photos: photos || []
+            });
+            await returnRequest.save({ session });
+        });
+
+        res.status(201).json({
+            message: 'Return request submitted',
+            data: returnRequest
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Error creating return request:', error);
+        res.status(500).json({ message: 'Failed to create return request' });
+    }
+};
+
+// Get My Return Requests
+const getMyReturnRequests = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const query = { user: req.user._id };
+        const returns = await ReturnRequest.find(query)
+            .populate('items.product', 'name images')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit);
+
+        const total = await ReturnRequest.countDocuments(query);
+
+        res.json({
+            returns,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error getting return requests:', error);
+        res.status(500).json({ message: 'Failed to get return requests' });
+    }
+};
+
+// Get a Single Return Request (owner, or returns:manage)
+const getReturnRequest = async (req, res) => {
+    try {
+        const returnRequest = await ReturnRequest.findById(req.params.id)
+            .populate('items.product', 'name images category');
+        if (!returnRequest) {
+            return res.status(404).json({ message: 'Return request not found' });
+        }
+        if (returnRequest.user.toString() !== req.user._id.toString() && !(await hasPermission(req.user, 'returns:manage'))) {
+            return res.status(403).json({ message: 'Not authorized to view this return request' });
+        }
+        res.json(returnRequest);
+    } catch (error) {
+        console.error('Error getting return request:', error);
+        res.status(500).json({ message: 'Failed to get return request' });
+    }
+};
+
+// B. Admin Endpoints
+
+// Get All Return Requests with filters
+const getAllReturnRequests = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+        const { status, order, user } = req.query;
+
+        const query = {};
+        if (status) query.status = status;
+        if (order) query.order = order;
+        if (user) query.user = user;
+
+        const returns = await ReturnRequest.find(query)
+            .populate('user', 'name email phone')
+            .populate('items.product', 'name images category')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit);
+
+        const total = await ReturnRequest.countDocuments(query);
+
+        res.json({
+            returns,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error getting all return requests:', error);
+        res.status(500).json({ message: 'Failed to get return requests' });
+    }
+};
+
+// Approve a Return Request: restock the items and refund the order
+const approveReturnRequest = async (req, res) => {
+    try {
+        const { refundAmount, note } = req.body;
+
+        if (refundAmount !== undefined && (typeof refundAmount !== 'number' || refundAmount < 0)) {
+            return res.status(400).json({ message: 'Refund amount must be a non-negative number' });
+        }
+
+        const existing = await ReturnRequest.findById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ message: 'Return request not found' });
+        }
+        if (existing.status !== 'REQUESTED') {
+            return res.status(409).json({ message: `Return request is already ${existing.status}` });
+        }
+
+        let returnRequest;
+        let order;
+        await mongoose.connection.transaction(async (session) => {
+            // The status change is conditional so that of two concurrent approvals
+            // only one restocks and refunds; the other matches nothing
+            returnRequest = await ReturnRequest.findOneAndUpdate(
+                { _id: existing._id, status: 'REQUESTED' },
+                {
+                    $set: {
+                        status: 'APPROVED',
+                        reviewedBy: req.user._id,
+                        reviewedAt: new Date(),
+                        adminNote: note
+                    }
+                },
+                { new: true, session }
+            );
+            if (!returnRequest) {
+                throw Object.assign(new Error('Return request was already reviewed'), { status: 409 });
+            }
+
+            // Read the order in the transaction so concurrent refunds against it add up
+            order = await Order.findById(returnRequest.order).session(session);
+            if (!order) {
+                throw Object.assign(new Error('Order not found'), { status: 404 });
+            }
+
+            // Refund defaults to the value of the returned items at their ordered prices
+            const requested = refundAmount !== undefined ? refundAmount : returnRequest.itemsTotal;
+            returnRequest.refundAmount = order.recordRefund(requested, returnRequest._id);
+
+            await restockItems(returnRequest.items, `Return ${returnRequest._id}`, session);
+
+            await order.save({ session });
+            await returnRequest.save({ session });
+        });
+
+        res.json({
+            message: 'Return request approved',
+            data: returnRequest,
+            order
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error approving return request:', error);
+        res.status(500).json({ message: 'Failed to approve return request' });
+    }
+};
+
+// Reject a Return Request
+const rejectReturnRequest = async (req, res) => {
+    try {
+        const { note } = req.body;
+
+        const existing = await ReturnRequest.findById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ message: 'Return request not found' });
+        }
+        if (existing.status !== 'REQUESTED') {
+            return res.status(409).json({ message: `Return request is already ${existing.status}` });
+        }
+
+        // Conditional, so a rejection cannot overwrite a concurrent approval
+        const returnRequest = await ReturnRequest.findOneAndUpdate(
+            { _id: existing._id, status: 'REQUESTED' },
+            { $set: { status: 'REJECTED', reviewedBy: req.user._id, reviewedAt: new Date(), adminNote: note } },
+            { new: true }
+        );
+        if (!returnRequest) {
+            return res.status(409).json({ message: 'Return request was already reviewed' });
+        }
+
+        res.json({
+            message: 'Return request rejected',
+            data: returnRequest
+        });
+    } catch (error) {
+        console.error('Error rejecting return request:', error);
+        res.status(500).json({ message: 'Failed to reject return request' });
+    }
+};
+
+module.exports = {
+    // Buyer endpoints
+    createReturnRequest,
+    getMyReturnRequests,
+    getReturnRequest,
+
+    // Admin endpoints
+    getAllReturnRequests,
+    approveReturnRequest,
+    rejectReturnRequest
+};
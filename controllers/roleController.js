@@ -0,0 +1,137 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { clearPermissionCache, getMissingPermissions } = require('../services/permissions');
+
+// Refuse to let the caller define a role with permissions they do not hold
+const assertCanGrant = async (user, permissions) => {
+    const missing = await getMissingPermissions(user, permissions);
+    if (missing.length > 0) {
+        throw Object.assign(new Error(`You do not hold these permissions: ${missing.join(', ')}`), { status: 403 });
+    }
+};
+
+// Every permission that can be granted, with a description
+const getPermissionCatalog = async (req, res) => {
+    res.json({ permissions: Role.PERMISSIONS });
+};
+
+// List roles with their permissions and how many users hold each
+const getRoles = async (req, res) => {
+    try {
+        const roles = await Role.find().sort({ name: 1 }).lean();
+        const counts = await User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]);
+        const userCounts = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+
+        res.json({
+            roles: roles.map(role => ({ ...role, userCount: userCounts[role.name] || 0 }))
+        });
+    } catch (error) {
+        console.error('Error getting roles:', error);
+        res.status(500).json({ message: 'Failed to get roles' });
+    }
+};
+
+// Create a new role
+const createRole = async (req, res) => {
+    try {
+        const { name, description, permissions } = req.body;
+        if (!Array.isArray(permissions)) {
+            return res.status(400).json({ message: 'Permissions must be an array' });
+        }
+        await assertCanGrant(req.user, permissions);
+
+        const role = new Role({ name, description, permissions });
+        await role.save();
+        clearPermissionCache();
+
+        res.status(201).json({
+            message: 'Role created',
+            role
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'A role with this name already exists' });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Error creating role:', error);
+        res.status(500).json({ message: 'Failed to create role' });
+    }
+};
+
+// Change a role's description or permissions
+const updateRole = async (req, res) => {
+    try {
+        const { description, permissions } = req.body;
+
+        const role = await Role.findOne({ name: req.params.name });
+        if (!role) {
+            return res.status(404).json({ message: 'Role not found' });
+        }
+        if (role.name === Role.SUPER_ROLE) {
+            return res.status(400).json({ message: `The ${Role.SUPER_ROLE} role always has every permission` });
+        }
+        if (permissions !== undefined && !Array.isArray(permissions)) {
+            return res.status(400).json({ message: 'Permissions must be an array' });
+        }
+        // Covers the permissions being removed too, so nobody can strip a role above their own
+        await assertCanGrant(req.user, [...role.permissions, ...(permissions || [])]);
+
+        if (description !== undefined) role.description = description;
+        if (permissions !== undefined) role.permissions = permissions;
+        await role.save();
+        clearPermissionCache();
+
+        res.json({
+            message: 'Role updated',
+            role
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Error updating role:', error);
+        res.status(500).json({ message: 'Failed to update role' });
+    }
+};
+
+// Delete a custom role that no user holds
+const deleteRole = async (req, res) => {
+    try {
+        const role = await Role.findOne({ name: req.params.name });
+        if (!role) {
+            return res.status(404).json({ message: 'Role not found' });
+        }
+        if (role.builtIn) {
+            return res.status(400).json({ message: 'Built-in roles cannot be deleted' });
+        }
+
+        const holders = await User.countDocuments({ role: role.name });
+        if (holders > 0) {
+            return res.status(409).json({ message: `${holders} user(s) still have this role` });
+        }
+
+        await role.deleteOne();
+        clearPermissionCache();
+
+        res.json({ message: 'Role deleted' });
+    } catch (error) {
+        console.error('Error deleting role:', error);
+        res.status(500).json({ message: 'Failed to delete role' });
+    }
+};
+
+module.exports = {
+    getPermissionCatalog,
+    getRoles,
+    createRole,
+    updateRole,
+    deleteRole
+};
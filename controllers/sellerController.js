@@ -0,0 +1,408 @@
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const payments = require('../services/payments');
+const { cancelFulfillment } = require('../services/orders');
+const { hasPermission } = require('../services/permissions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// IDs of every product listed by the authenticated seller
+const getSellerProductIds = async (sellerId) => {
+    return Product.find({ seller: sellerId }).distinct('_id');
+};
+
+// Pipeline stages selecting the seller's line items from non-cancelled orders,
+// leaving out items whose fulfillment group was cancelled on its own
+const sellerItemStages = (productIds, extraMatch = {}) => [
+    { $match: { 'items.product': { $in: productIds }, orderStatus: { $ne: 'CANCELLED' }, ...extraMatch } },
+    {
+        $addFields: {
+            cancelledItems: {
+                $reduce: {
+                    input: { $filter: { input: '$fulfillments', cond: { $eq: ['$$this.status', 'CANCELLED'] } } },
+                    initialValue: [],
+                    in: { $concatArrays: ['$$value', '$$this.items'] }
+                }
+            }
+        }
+    },
+    { $unwind: '$items' },
+    {
+        $match: {
+            'items.product': { $in: productIds },
+            $expr: { $not: [{ $in: ['$items._id', '$cancelledItems'] }] }
+        }
+    }
+];
+
+// Orders in which the seller still has items to prepare. Orders split into
+// fulfillment groups are matched on the seller's own group; older orders
+// without groups fall back to the order status.
+const pendingOrdersQuery = (sellerId, productIds) => ({
+    $or: [
+        { fulfillments: { $elemMatch: { seller: sellerId, status: { $in: ['PENDING', 'PROCESSING'] } } } },
+        {
+            fulfillments: { $size: 0 },
+            'items.product': { $in: productIds },
+            orderStatus: { $in: ['PENDING', 'PROCESSING'] }
+        }
+    ]
+});
+
+// Dashboard Summary
+const getSummary = async (req, res) => {
+    try {
+        const sellerId = req.user._id;
+        const productIds = await getSellerProductIds(sellerId);
+        const lowStockThreshold = parseInt(req.query.lowStockThreshold) || 10;
+
+        const [sales] = await Order.aggregate([
+            ...sellerItemStages(productIds),
+            {
+                $group: {
+                    _id: null,
+                    revenue: { $sum: { $multiply: ['$items.price', '$items.quantity'] } },
+                    unitsSold: { $sum: '$items.quantity' },
+                    orders: { $addToSet: '$_id' }
+                }
+            },
+            { $project: { _id: 0, revenue: 1, unitsSold: 1, orderCount: { $size: '$orders' } } }
+        ]);
+
+        const [products] = await Product.aggregate([
+            { $match: { seller: sellerId } },
+            {
+                $group: {
+                    _id: null,
+                    totalProducts: { $sum: 1 },
+                    lowStockProducts: { $sum: { $cond: [{ $lte: ['$stock', lowStockThreshold] }, 1, 0] } },
+                    reviewCount: { $sum: { $size: '$reviews' } },
+                    ratingSum: { $sum: { $sum: '$reviews.rating' } }
+                }
+            }
+        ]);
+
+        const pendingOrders = await Order.countDocuments(pendingOrdersQuery(sellerId, productIds));
+
+        res.json({
+            sales: sales || { revenue: 0, unitsSold: 0, orderCount: 0 },
+            products: {
+                total: products ? products.totalProducts : 0,
+                lowStock: products ? products.lowStockProducts : 0
+            },
+            pendingOrders,
+            rating: {
+                average: products && products.reviewCount > 0 ? products.ratingSum / products.reviewCount : 0,
+                reviewCount: products ? products.reviewCount : 0
+            }
+        });
+    } catch (error) {
+        console.error('Error getting seller summary:', error);
+        res.status(500).json({ message: 'Failed to get dashboard summary' });
+    }
+};
+
+// Revenue grouped by day or ISO week
+const getRevenue = async (req, res) => {
+    try {
+        const { period = 'day', startDate, endDate } = req.query;
+        if (!['day', 'week'].includes(period)) {
+            return res.status(400).json({ message: 'Period must be one of: day, week' });
+        }
+
+        const productIds = await getSellerProductIds(req.user._id);
+        const createdAt = {
+            $gte: startDate ? new Date(startDate) : new Date(Date.now() - 30 * DAY_MS)
+        };
+        if (endDate) createdAt.$lte = new Date(endDate);
+
+        const format = period === 'week' ? '%G-W%V' : '%Y-%m-%d';
+        const revenue = await Order.aggregate([
+            ...sellerItemStages(productIds, { createdAt }),
+            {
+                $group: {
+                    _id: { $dateToString: { format, date: '$createdAt' } },
+                    revenue: { $sum: { $multiply: ['$items.price', '$items.quantity'] } },
+                    unitsSold: { $sum: '$items.quantity' },
+                    orders: { $addToSet: '$_id' }
+                }
+            },
+            { $project: { _id: 0, period: '$_id', revenue: 1, unitsSold: 1, orderCount: { $size: '$orders' } } },
+            { $sort: { period: 1 } }
+        ]);
+
+        res.json({ period, revenue });
+    } catch (error) {
+        console.error('Error getting seller revenue:', error);
+        res.status(500).json({ message: 'Failed to get revenue' });
+    }
+};
+
+// Units sold and revenue per product
+const getProductSales = async (req, res) => {
+    try {
+        const sellerId = req.user._id;
+        const productIds = await getSellerProductIds(sellerId);
+
+        // Units moved come from the stock history so returns are netted out
+        const units = await Product.aggregate([
+            { $match: { seller: sellerId } },
+            { $unwind: '$quantityHistory' },
+            { $match: { 'quantityHistory.type': { $in: ['sold', 'returned'] } } },
+            {
+                $group: {
+                    _id: '$_id',
+                    unitsSold: {
+                        $sum: { $cond: [{ $eq: ['$quantityHistory.type', 'sold'] }, '$quantityHistory.quantity', 0] }
+                    },
+                    unitsReturned: {
+                        $sum: { $cond: [{ $eq: ['$quantityHistory.type', 'returned'] }, '$quantityHistory.quantity', 0] }
+                    }
+                }
+            }
+        ]);
+
+        const revenue = await Order.aggregate([
+            ...sellerItemStages(productIds),
+            {
+                $group: {
+                    _id: '$items.product',
+                    revenue: { $sum: { $multiply: ['$items.price', '$items.quantity'] } }
+                }
+            }
+        ]);
+
+        const products = await Product.find({ seller: sellerId }).select('name images price stock unit rating');
+        const unitsById = new Map(units.map(entry => [entry._id.toString(), entry]));
+        const revenueById = new Map(revenue.map(entry => [entry._id.toString(), entry.revenue]));
+
+        const data = products.map(product => {
+            const id = product._id.toString();
+            const entry = unitsById.get(id) || { unitsSold: 0, unitsReturned: 0 };
+            return {
+                product,
+                unitsSold: entry.unitsSold,
+                unitsReturned: entry.unitsReturned,
+                netUnitsSold: entry.unitsSold - entry.unitsReturned,
+                revenue: revenueById.get(id) || 0
+            };
+        }).sort((a, b) => b.netUnitsSold - a.netUnitsSold);
+
+        res.json({ products: data });
+    } catch (error) {
+        console.error('Error getting product sales:', error);
+        res.status(500).json({ message: 'Failed to get product sales' });
+    }
+};
+
+// Low-stock and soon-to-expire products
+const getInventory = async (req, res) => {
+    try {
+        const sellerId = req.user._id;
+        const lowStockThreshold = parseInt(req.query.lowStockThreshold) || 10;
+        const expiringWithinDays = parseInt(req.query.expiringWithinDays) || 7;
+        const now = new Date();
+
+        const lowStock = await Product.find({ seller: sellerId, stock: { $lte: lowStockThreshold } })
+            .select('name images stock unit minOrderQuantity')
+            .sort({ stock: 1 });
+
+        const expiringSoon = await Product.find({
+            seller: sellerId,
+            expiryDate: { $gte: now, $lte: new Date(now.getTime() + expiringWithinDays * DAY_MS) }
+        })
+            .select('name images stock unit expiryDate')
+            .sort({ expiryDate: 1 });
+
+        const expired = await Product.find({ seller: sellerId, expiryDate: { $lt: now }, stock: { $gt: 0 } })
+            .select('name images stock unit expiryDate')
+            .sort({ expiryDate: 1 });
+
+        res.json({
+            lowStockThreshold,
+            expiringWithinDays,
+            lowStock,
+            expiringSoon,
+            expired
+        });
+    } catch (error) {
+        console.error('Error getting seller inventory:', error);
+        res.status(500).json({ message: 'Failed to get inventory' });
+    }
+};
+
+// Pending orders that contain the seller's products, limited to the seller's line items
+const getPendingOrders = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const productIds = await getSellerProductIds(req.user._id);
+        const sellerProducts = new Set(productIds.map(id => id.toString()));
+        const query = pendingOrdersQuery(req.user._id, productIds);
+
+        const orders = await Order.find(query)
+            .populate('items.product', 'name images unit')
+            .select('items fulfillments shippingAddress orderStatus paymentStatus paymentMethod createdAt')
+            .sort({ createdAt: 1 })
+            .skip(skip)
+            .limit(limit);
+
+        const total = await Order.countDocuments(query);
+
+        const data = orders.map(order => {
+            const group = order.fulfillments.find(entry => entry.seller.toString() === req.user._id.toString());
+            const groupItems = group ? new Set(group.items.map(id => id.toString())) : null;
+            const items = order.items.filter(item => item.product && sellerProducts.has(item.product._id.toString()) &&
+                (!groupItems || groupItems.has(item._id.toString())));
+            return {
+                _id: order._id,
+                orderStatus: order.orderStatus,
+                fulfillmentStatus: group ? group.status : order.orderStatus,
+                paymentStatus: order.paymentStatus,
+                paymentMethod: order.paymentMethod,
+                shippingAddress: order.shippingAddress,
+                createdAt: order.createdAt,
+                items,
+                sellerTotal: items.reduce((total, item) => total + (item.price * item.quantity), 0)
+            };
+        });
+
+        res.json({
+            orders: data,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error getting pending orders:', error);
+        res.status(500).json({ message: 'Failed to get pending orders' });
+    }
+};
+
+// Fulfillment groups shipped by the authenticated seller, with only their own items
+const getMyFulfillments = async (req, res) => {
+    try {
+        const sellerId = req.user._id;
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+        const { status } = req.query;
+
+        const groupMatch = { seller: sellerId };
+        if (status) groupMatch.status = status;
+        const query = { fulfillments: { $elemMatch: groupMatch } };
+
+        const orders = await Order.find(query)
+            .populate('items.product', 'name images unit')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit);
+
+        const total = await Order.countDocuments(query);
+
+        const fulfillments = [];
+        for (const order of orders) {
+            for (const group of order.fulfillments) {
+                if (group.seller.toString() !== sellerId.toString()) continue;
+                if (status && group.status !== status) continue;
+                fulfillments.push({
+                    order: order._id,
+                    orderStatus: order.orderStatus,
+                    paymentMethod: order.paymentMethod,
+                    paymentStatus: order.paymentStatus,
+                    shippingAddress: order.shippingAddress,
+                    createdAt: order.createdAt,
+                    fulfillment: group,
+                    items: order.getFulfillmentItems(group)
+                });
+            }
+        }
+
+        res.json({
+            fulfillments,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error getting fulfillments:', error);
+        res.status(500).json({ message: 'Failed to get fulfillments' });
+    }
+};
+
+// Update the status of one of the seller's fulfillment groups
+const updateFulfillmentStatus = async (req, res) => {
+    try {
+        const { status, trackingNumber, note } = req.body;
+
+        if (!Object.keys(Order.STATUS_TRANSITIONS).includes(status)) {
+            return res.status(400).json({
+                message: 'Status must be one of: PENDING, PROCESSING, SHIPPED, DELIVERED, CANCELLED'
+            });
+        }
+
+        const order = await Order.findById(req.params.orderId);
+        const group = order && order.fulfillments.id(req.params.fulfillmentId);
+        if (!group) {
+            return res.status(404).json({ message: 'Fulfillment not found' });
+        }
+
+        if (group.seller.toString() !== req.user._id.toString() && !(await hasPermission(req.user, 'orders:update-status'))) {
+            return res.status(403).json({ message: 'Not authorized to update this fulfillment' });
+        }
+
+        if (!(Order.STATUS_TRANSITIONS[group.status] || []).includes(status)) {
+            return res.status(409).json({
+                message: `Cannot change fulfillment status from ${group.status} to ${status}`,
+                currentStatus: group.status,
+                allowedStatuses: Order.STATUS_TRANSITIONS[group.status]
+            });
+        }
+
+        if (status === 'CANCELLED') {
+            await cancelFulfillment(order, group, req.user._id, note);
+        } else {
+            order.transitionFulfillment(group, status, req.user._id, note);
+            if (trackingNumber) {
+                group.trackingNumber = trackingNumber;
+            }
+
+            // Cash on delivery is collected once the whole order has been delivered
+            if (order.orderStatus === 'DELIVERED') {
+                await payments.settleCashOnDelivery(order);
+            }
+            await order.save();
+        }
+
+        res.json({
+            message: 'Fulfillment status updated',
+            orderStatus: order.orderStatus,
+            fulfillment: group,
+            items: order.getFulfillmentItems(group)
+        });
+    } catch (error) {
+        if (error.status === 409) {
+            return res.status(409).json({ message: error.message });
+        }
+        console.error('Error updating fulfillment status:', error);
+        res.status(500).json({ message: 'Failed to update fulfillment status' });
+    }
+};
+
+module.exports = {
+    getSummary,
+    getRevenue,
+    getProductSales,
+    getInventory,
+    getPendingOrders,
+    getMyFulfillments,
+    updateFulfillmentStatus
+};
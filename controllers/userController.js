@@ -0,0 +1,288 @@
+const User = require('../models/User');
+const Role = require('../models/Role');
+const AuditLog = require('../models/AuditLog');
+const { revokeUserSessions } = require('../services/sessions');
+const { unlockAccount, unlockIp } = require('../services/authThrottle');
+const { disableTwoFactor } = require('../services/twoFactor');
+const { getRolePermissions, getMissingPermissions } = require('../services/permissions');
+
+// Drop Socket.IO connections of a user whose access has been taken away
+const disconnectUser = (req, userId) => {
+    const io = req.app.get('io');
+    if (io) {
+        io.in(userId.toString()).disconnectSockets(true);
+    }
+};
+
+// Check that the caller holds every permission of the given roles, so nobody
+// can act on an account above their own. Responds with 403 and returns false
+// if they do not.
+const callerHoldsRoles = async (req, res, ...roles) => {
+    const rolePermissions = [];
+    for (const role of roles) {
+        rolePermissions.push(...await getRolePermissions(role));
+    }
+    const missing = await getMissingPermissions(req.user, rolePermissions);
+    if (missing.length > 0) {
+        res.status(403).json({ message: `You do not hold these permissions: ${missing.join(', ')}` });
+        return false;
+    }
+    return true;
+};
+
+// List users with filters
+const getUsers = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+        const { role, disabled, email } = req.query;
+
+        const query = {};
+        if (role) query.role = role;
+        if (disabled !== undefined) query.disabled = disabled === 'true';
+        if (email) query.email = email.toLowerCase().trim();
+
+        const users = await User.find(query)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit);
+
+        const total = await User.countDocuments(query);
+
+        res.json({
+            users,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error getting users:', error);
+        res.status(500).json({ message: 'Failed to get users' });
+    }
+};
+
+// Get a single user
+const getUser = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        res.json(user);
+    } catch (error) {
+        console.error('Error getting user:', error);
+        res.status(500).json({ message: 'Failed to get user' });
+    }
+};
+
+// Move a user to another role
+const updateUserRole = async (req, res) => {
+    try {
+        const { role } = req.body;
+        if (!role || typeof role !== 'string' || !(await Role.exists({ name: role.toLowerCase().trim() }))) {
+            return res.status(400).json({ message: 'Role does not exist' });
+        }
+
+        // Nobody can change their own role, so user managers cannot lock themselves out
+        if (req.params.id === req.user._id.toString()) {
+            return res.status(400).json({ message: 'You cannot change your own role' });
+        }
+
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        // Only someone holding every permission of both roles may move a user
+        // between them, so nobody can hand out or take away more than they have
+        if (!(await callerHoldsRoles(req, res, role.toLowerCase().trim(), user.role))) return;
+
+        user.role = role;
+        await user.save();
+
+        // Sockets rejoin rooms such as 'admins' for the new role on reconnect
+        disconnectUser(req, user._id);
+
+        res.json({
+            message: `User role updated to ${role}`,
+            user
+        });
+    } catch (error) {
+        console.error('Error updating user role:', error);
+        res.status(500).json({ message: 'Failed to update user role' });
+    }
+};
+
+// Disable an account: blocks login and revokes every session
+const disableUser = async (req, res) => {
+    try {
+        if (req.params.id === req.user._id.toString()) {
+            return res.status(400).json({ message: 'You cannot disable your own account' });
+        }
+
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        if (!(await callerHoldsRoles(req, res, user.role))) return;
+
+        user.disabled = true;
+        user.disabledAt = new Date();
+        user.disabledReason = req.body.reason;
+        await user.save();
+
+        await revokeUserSessions(user._id, 'account_disabled');
+        disconnectUser(req, user._id);
+
+        res.json({
+            message: 'User disabled',
+            user
+        });
+    } catch (error) {
+        console.error('Error disabling user:', error);
+        res.status(500).json({ message: 'Failed to disable user' });
+    }
+};
+
+// Re-enable a disabled account
+const enableUser = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        if (!(await callerHoldsRoles(req, res, user.role))) return;
+
+        user.disabled = false;
+        user.disabledAt = undefined;
+        user.disabledReason = undefined;
+        await user.save();
+
+        res.json({
+            message: 'User enabled',
+            user
+        });
+    } catch (error) {
+        console.error('Error enabling user:', error);
+        res.status(500).json({ message: 'Failed to enable user' });
+    }
+};
+
+// Lift failed-attempt lockouts and delays on an account
+const unlockUser = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const cleared = await unlockAccount(user, req.user);
+        res.json({
+            message: 'Account unlocked',
+            cleared
+        });
+    } catch (error) {
+        console.error('Error unlocking user:', error);
+        res.status(500).json({ message: 'Failed to unlock user' });
+    }
+};
+
+// Lift failed-attempt lockouts and delays on an IP address
+const unlockIpAddress = async (req, res) => {
+    try {
+        const { ip } = req.body;
+        if (!ip || typeof ip !== 'string') {
+            return res.status(400).json({ message: 'IP address is required' });
+        }
+
+        const cleared = await unlockIp(ip, req.user);
+        res.json({
+            message: 'IP address unlocked',
+            cleared
+        });
+    } catch (error) {
+        console.error('Error unlocking IP address:', error);
+        res.status(500).json({ message: 'Failed to unlock IP address' });
+    }
+};
+
+// Remove a user's second factor, e.g. after they lose their device. Users whose
+// role requires 2FA have to enroll again on their next sign-in.
+const resetTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        if (!(await callerHoldsRoles(req, res, user.role))) return;
+
+        await disableTwoFactor(user._id);
+        await revokeUserSessions(user._id, 'two_factor_reset');
+        disconnectUser(req, user._id);
+
+        await AuditLog.create({
+            action: 'auth.two_factor_reset',
+            user: user._id,
+            actor: req.user._id,
+            ip: req.ip
+        });
+
+        res.json({ message: 'Two-factor authentication reset' });
+    } catch (error) {
+        console.error('Error resetting two-factor authentication:', error);
+        res.status(500).json({ message: 'Failed to reset two-factor authentication' });
+    }
+};
+
+// Security audit entries such as lockouts and unlocks
+const getAuditLog = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+        const { action, user, ip } = req.query;
+
+        const query = {};
+        if (action) query.action = action;
+        if (user) query.user = user;
+        if (ip) query.ip = ip;
+
+        const entries = await AuditLog.find(query)
+            .populate('user', 'name email')
+            .populate('actor', 'name email')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit);
+
+        const total = await AuditLog.countDocuments(query);
+
+        res.json({
+            entries,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error getting audit log:', error);
+        res.status(500).json({ message: 'Failed to get audit log' });
+    }
+};
+
+module.exports = {
+    getUsers,
+    getUser,
+    updateUserRole,
+    disableUser,
+    enableUser,
+    unlockUser,
+    unlockIpAddress,
+    resetTwoFactor,
+    getAuditLog
+};
@@ -0,0 +1,19 @@
+// Payment gateways and mail and SMS transports used by this deployment are
+// registered here. server.js loads this file before it checks the settings, so
+// PAYMENT_PROVIDER, MAIL_TRANSPORT and SMS_TRANSPORT can name anything
+// registered below.
+// For example:
+//
+//   const payments = require('./services/payments');
+//   payments.registerProvider(require('./gateways/razorpay'));
+//
+//   const mailer = require('./services/mailer');
+//   mailer.registerTransport('ses', require('./transports/ses'));
+//
+//   const sms = require('./services/sms');
+//   sms.registerTransport('twilio', require('./transports/twilio'));
+//
+// A payment provider is an object with a name, createIntent() and
+// parseWebhook(); see services/payments/fakeProvider.js for the shape. A mail
+// transport is an object with send({ from, to, subject, text }), an SMS
+// transport one with send({ to, text }).
@@ -1,7 +1,40 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const { verifyAccessToken } = require('../services/sessions');
+const { verifyApiKey } = require('../services/apiKeys');
+const { getMissingVerifications } = require('../services/verification');
+const { getPermissions, hasPermission } = require('../services/permissions');
+
+const API_KEY_HEADER = 'X-API-Key';
+
+// Set on the middleware created by requirePermission and requireAnyPermission
+const CHECKS_PERMISSION = Symbol('checksPermission');
+
+// Whether the matched route declares the permissions it needs
+const declaresPermission = (req) => Boolean(req.route) &&
+  req.route.stack.some(layer => layer.handle[CHECKS_PERMISSION]);
+
+// Integrations authenticate with an API key; they act as the key's user,
+// limited to the key's permissions. Keys only reach routes that declare a
+// permission: routes guarded by auth alone act with everything the user can
+// do, so they are for signed-in users.
+const authWithApiKey = async (req, res, next) => {
+  try {
+    const { user, apiKey } = await verifyApiKey(req.header(API_KEY_HEADER), req.ip);
+    if (!declaresPermission(req)) {
+      return res.status(403).json({ message: 'This endpoint cannot be used with an API key' });
+    }
+    req.user = user;
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    res.status(error.status || 401).json({ message: error.message });
+  }
+};
 
 const auth = async (req, res, next) => {
+  if (req.header(API_KEY_HEADER)) {
+    return authWithApiKey(req, res, next);
+  }
+
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
@@ -9,29 +42,69 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'Please authenticate' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id);
-
-    if (!user) {
-      return res.status(401).json({ message: 'Please authenticate' });
-    }
+    // Rejects expired tokens and tokens whose session has been revoked
+    const { user, session } = await verifyAccessToken(token);
 
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     res.status(401).json({ message: 'Please authenticate' });
   }
 };
 
-const isAdmin = async (req, res, next) => {
-  try {
-    if (!req.user || req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Access denied' });
+// For account and session management, which API keys must not reach
+const requireSession = (req, res, next) => {
+  if (!req.authSession) {
+    return res.status(403).json({ message: 'This endpoint requires a signed-in user' });
+  }
+  next();
+};
+
+// Allow the request only if the user's role grants every listed permission
+const requirePermission = (...permissions) => {
+  const middleware = async (req, res, next) => {
+    try {
+      if (!req.user || !(await hasPermission(req.user, ...permissions))) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+      next();
+    } catch (error) {
+      res.status(403).json({ message: 'Access denied' });
     }
-    next();
-  } catch (error) {
-    res.status(403).json({ message: 'Access denied' });
+  };
+  middleware[CHECKS_PERMISSION] = true;
+  return middleware;
+};
+
+// Allow the request if the user's role grants at least one of the listed
+// permissions; the handler decides what each of them allows
+const requireAnyPermission = (...permissions) => {
+  const middleware = async (req, res, next) => {
+    try {
+      const granted = req.user ? await getPermissions(req.user) : new Set();
+      if (!permissions.some(permission => granted.has(permission))) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+      next();
+    } catch (error) {
+      res.status(403).json({ message: 'Access denied' });
+    }
+  };
+  middleware[CHECKS_PERMISSION] = true;
+  return middleware;
+};
+
+// Block the request until the user has verified the contacts the checkout rules require
+const requireVerified = async (req, res, next) => {
+  const missing = getMissingVerifications(req.user);
+  if (missing.length > 0) {
+    return res.status(403).json({
+      message: `Please verify your ${missing.join(' and ')} before placing an order`,
+      unverified: missing
+    });
   }
+  next();
 };
 
-module.exports = { auth, isAdmin }; 
\ No newline at end of file
+module.exports = { auth, requireSession, requirePermission, requireAnyPermission, requireVerified };
\ No newline at end of file
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+
+// How long a key is remembered, configurable with IDEMPOTENCY_KEY_TTL_HOURS
+const getTtlMs = () => {
+  const hours = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS);
+  return (hours > 0 ? hours : 24) * 60 * 60 * 1000;
+};
+
+// A key left IN_PROGRESS for longer than this (IDEMPOTENCY_LOCK_TIMEOUT_SECONDS)
+// is treated as abandoned by a request that never finished, e.g. because the
+// server restarted, and may be taken over by a retry
+const getLockTimeoutMs = () => {
+  const seconds = Number(process.env.IDEMPOTENCY_LOCK_TIMEOUT_SECONDS);
+  return (seconds > 0 ? seconds : 60) * 1000;
+};
+
+const hashRequest = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path} ${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+};
+
+// Replays the stored response for requests repeated with the same
+// Idempotency-Key by the same user. Must run after `auth`. Requests without the
+// header are processed normally.
+const idempotency = async (req, res, next) => {
+  const key = req.header(HEADER);
+  if (!key) {
+    return next();
+  }
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ message: `${HEADER} must be at most ${MAX_KEY_LENGTH} characters` });
+  }
+
+  try {
+    const requestHash = hashRequest(req);
+    const path = `${req.baseUrl}${req.path}`;
+
+    let record = await IdempotencyKey.findOne({ user: req.user._id, key });
+    if (record && record.expiresAt < new Date()) {
+      await record.deleteOne();
+      record = null;
+    }
+    if (record && record.status === 'IN_PROGRESS' && record.createdAt < new Date(Date.now() - getLockTimeoutMs())) {
+      // Only the current owner may be removed; the unique index settles racing retries below
+      await IdempotencyKey.deleteOne({ _id: record._id, status: 'IN_PROGRESS' });
+      record = null;
+    }
+
+    if (record) {
+      if (record.requestHash !== requestHash || record.path !== path || record.method !== req.method) {
+        return res.status(422).json({
+          message: `${HEADER} has already been used for a different request`
+        });
+      }
+      if (record.status === 'IN_PROGRESS') {
+        return res.status(409).json({
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.responseStatus).json(record.responseBody);
+    }
+
+    try {
+      record = await IdempotencyKey.create({
+        key,
+        user: req.user._id,
+        method: req.method,
+        path,
+        requestHash,
+        expiresAt: new Date(Date.now() + getTtlMs())
+      });
+    } catch (error) {
+      // Another request with the same key got there first
+      if (error.code === 11000) {
+        return res.status(409).json({
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+      throw error;
+    }
+
+    // Capture the first response. Server errors are not stored so the client can retry.
+    let captured = false;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      captured = true;
+      const responseStatus = res.statusCode;
+      const saved = responseStatus >= 500
+        ? IdempotencyKey.deleteOne({ _id: record._id })
+        : IdempotencyKey.updateOne(
+          { _id: record._id },
+          { $set: { status: 'COMPLETED', responseStatus, responseBody: JSON.parse(JSON.stringify(body)) } }
+        );
+      saved.catch((error) => console.error('Error storing idempotent response:', error));
+      return originalJson(body);
+    };
+
+    // Release the key if the request ends without a JSON response, e.g. when the
+    // client disconnects first, so a retry is not refused until the lock times out
+    const release = () => {
+      if (captured) return;
+      captured = true;
+      IdempotencyKey.deleteOne({ _id: record._id, status: 'IN_PROGRESS' })
+        .catch((error) => console.error('Error releasing idempotency key:', error));
+    };
+    res.on('finish', release);
+    res.on('close', release);
+
+    next();
+  } catch (error) {
+    console.error('Idempotency error:', error);
+    res.status(500).json({ message: 'Something went wrong!' });
+  }
+};
+
+module.exports = { idempotency };
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const Role = require('./Role');
+
+// A long-lived credential for integrations such as an ERP or a logistics
+// partner. Only the SHA-256 hash of the key is stored. Requests made with the
+// key act as `user`, limited to the permissions listed on the key.
+const apiKeySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // First characters of the key, shown in listings so a key can be recognised
+    prefix: {
+        type: String,
+        required: true
+    },
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    permissions: [{
+        type: String,
+        enum: Object.keys(Role.PERMISSIONS)
+    }],
+    // Exact addresses or IPv4 CIDR ranges; empty allows any address
+    allowedIps: [{
+        type: String,
+        trim: true
+    }],
+    expiresAt: Date,
+    lastUsedAt: Date,
+    lastUsedIp: String,
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    revokedAt: Date,
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+apiKeySchema.index({ user: 1 });
+
+apiKeySchema.methods.isActive = function() {
+    return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Security-relevant events such as account lockouts and admin unlocks
+const auditLogSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        required: true
+    },
+    // User the event is about, when known
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Admin who performed the action, if any
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    ip: String,
+    details: mongoose.Schema.Types.Mixed
+}, {
+    timestamps: true
+});
+
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ user: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
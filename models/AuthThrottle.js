@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Failed attempt counter for one account or one IP address on a protected
+// auth endpoint (login, password reset, OTP verification). Password reset
+// requests ('reset-request') count every request, since each one sends an email.
+const authThrottleSchema = new mongoose.Schema({
+    scope: {
+        type: String,
+        enum: ['login', 'password-reset', 'reset-request', 'otp'],
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['account', 'ip'],
+        required: true
+    },
+    // Email, user ID or IP address the attempts were made with
+    key: {
+        type: String,
+        required: true
+    },
+    // Set on account counters when the key belongs to a known user
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    failures: {
+        type: Number,
+        default: 0
+    },
+    lastFailureAt: Date,
+    // Progressive delay: no new attempt is accepted before this time
+    nextAttemptAt: Date,
+    lockedUntil: Date,
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+authThrottleSchema.index({ scope: 1, type: 1, key: 1 }, { unique: true });
+authThrottleSchema.index({ user: 1 });
+authThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthThrottle = mongoose.model('AuthThrottle', authThrottleSchema);
+
+module.exports = AuthThrottle;
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Stored result of a request made with an Idempotency-Key header, so retries
+// with the same key replay the first response instead of repeating the work
+const idempotencyKeySchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    method: {
+        type: String,
+        required: true
+    },
+    path: {
+        type: String,
+        required: true
+    },
+    // Hash of the request body, used to detect a key reused for a different request
+    requestHash: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['IN_PROGRESS', 'COMPLETED'],
+        default: 'IN_PROGRESS'
+    },
+    responseStatus: Number,
+    responseBody: mongoose.Schema.Types.Mixed,
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+// Let MongoDB remove keys once they expire
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+module.exports = IdempotencyKey;
@@ -1,6 +1,76 @@
 const mongoose = require('mongoose');
 
+// Allowed order status transitions. An order moves forward through
+// PENDING -> PROCESSING -> SHIPPED -> DELIVERED and can only be cancelled
+// before it has shipped. DELIVERED and CANCELLED are final.
+const ORDER_STATUS_TRANSITIONS = {
+  PENDING: ['PROCESSING', 'CANCELLED'],
+  PROCESSING: ['SHIPPED', 'CANCELLED'],
+  SHIPPED: ['DELIVERED'],
+  DELIVERED: [],
+  CANCELLED: []
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_STATUS_TRANSITIONS);
+
+// Progress rank of each status, used to derive the order status from its fulfillment groups
+const STATUS_RANK = {
+  PENDING: 0,
+  PROCESSING: 1,
+  SHIPPED: 2,
+  DELIVERED: 3
+};
+
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: ORDER_STATUSES
+  },
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  note: String
+});
+
+// The part of an order shipped by one seller, with its own status and tracking
+const fulfillmentSchema = new mongoose.Schema({
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // IDs of the entries in the order's items array that this seller ships
+  items: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    default: 'PENDING'
+  },
+  statusHistory: [statusChangeSchema],
+  trackingNumber: String,
+  shippedAt: Date,
+  deliveryDate: Date,
+  cancelledAt: Date
+});
+
 const orderSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
   items: [{
     product: {
       type: mongoose.Schema.Types.ObjectId,
@@ -15,6 +85,11 @@ const orderSchema = new mongoose.Schema({
     price: {
       type: Number,
       required: true
+    },
+    // Seller of the product when the order was placed
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
     }
   }],
   shippingAddress: {
@@ -50,14 +125,42 @@ const orderSchema = new mongoose.Schema({
   },
   paymentStatus: {
     type: String,
-    enum: ['PENDING', 'PAID', 'FAILED'],
+    enum: ['PENDING', 'PAID', 'FAILED', 'REFUND_PENDING', 'REFUNDED', 'PARTIALLY_REFUNDED'],
     default: 'PENDING'
   },
   orderStatus: {
     type: String,
-    enum: ['PENDING', 'PROCESSING', 'SHIPPED', 'DELIVERED', 'CANCELLED'],
+    enum: ORDER_STATUSES,
     default: 'PENDING'
   },
+  statusHistory: [statusChangeSchema],
+  fulfillments: [fulfillmentSchema],
+  refunds: [{
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    returnRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReturnRequest'
+    },
+    refundedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  shippedAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
   deliveryDate: {
     type: Date
   },
@@ -67,6 +170,182 @@ const orderSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Index for listing a buyer's orders newest first
+orderSchema.index({ user: 1, createdAt: -1 });
+orderSchema.index({ orderStatus: 1, createdAt: -1 });
+orderSchema.index({ 'fulfillments.seller': 1, createdAt: -1 });
+
+// Stamp the timestamp that matches a status on an order or fulfillment group
+const stampStatusDate = (target, status, date) => {
+  if (status === 'SHIPPED') {
+    target.shippedAt = date;
+  } else if (status === 'DELIVERED') {
+    target.deliveryDate = date;
+  } else if (status === 'CANCELLED') {
+    target.cancelledAt = date;
+  }
+};
+
+// Check whether the order may move to the given status
+orderSchema.methods.canTransitionTo = function(status) {
+  return (ORDER_STATUS_TRANSITIONS[this.orderStatus] || []).includes(status);
+};
+
+// Check whether the order can be cancelled as a whole: nothing in it may have shipped
+orderSchema.methods.isCancellable = function() {
+  if (!this.canTransitionTo('CANCELLED')) {
+    return false;
+  }
+  return this.fulfillments.every(group => ['PENDING', 'PROCESSING', 'CANCELLED'].includes(group.status));
+};
+
+// Set the order status directly, stamping the matching timestamp and
+// recording who made the change in the status history
+orderSchema.methods.setStatus = function(status, changedBy, note = '') {
+  if (status === this.orderStatus) {
+    return this;
+  }
+
+  const now = new Date();
+  this.statusHistory.push({
+    from: this.orderStatus,
+    status,
+    changedBy,
+    changedAt: now,
+    note
+  });
+  this.orderStatus = status;
+  stampStatusDate(this, status, now);
+  return this;
+};
+
+// Move the order to a new status. Orders split into fulfillment groups move
+// every group that can make the same transition, and the order status is then
+// derived from the groups.
+orderSchema.methods.transitionTo = function(status, changedBy, note = '') {
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Cannot change order status from ${this.orderStatus} to ${status}`);
+  }
+
+  if (this.fulfillments.length === 0) {
+    return this.setStatus(status, changedBy, note);
+  }
+
+  for (const group of this.fulfillments) {
+    if ((ORDER_STATUS_TRANSITIONS[group.status] || []).includes(status)) {
+      this.transitionFulfillment(group, status, changedBy, note, { sync: false });
+    }
+  }
+  return this.syncStatusFromFulfillments(changedBy, note);
+};
+
+// Move one fulfillment group to a new status and update the order status
+orderSchema.methods.transitionFulfillment = function(group, status, changedBy, note = '', { sync = true } = {}) {
+  if (!(ORDER_STATUS_TRANSITIONS[group.status] || []).includes(status)) {
+    throw new Error(`Cannot change fulfillment status from ${group.status} to ${status}`);
+  }
+
+  const now = new Date();
+  group.statusHistory.push({
+    from: group.status,
+    status,
+    changedBy,
+    changedAt: now,
+    note
+  });
+  group.status = status;
+  stampStatusDate(group, status, now);
+
+  if (sync) {
+    this.syncStatusFromFulfillments(changedBy, note);
+  }
+  return this;
+};
+
+// Derive the order status from its fulfillment groups. Cancelled groups are
+// ignored unless every group is cancelled. Otherwise the order is as far along
+// as its slowest group, but counts as PROCESSING once any group has started.
+orderSchema.methods.syncStatusFromFulfillments = function(changedBy, note = '') {
+  if (this.fulfillments.length === 0) {
+    return this;
+  }
+
+  const active = this.fulfillments.filter(group => group.status !== 'CANCELLED');
+  let status;
+  if (active.length === 0) {
+    status = 'CANCELLED';
+  } else {
+    const ranks = active.map(group => STATUS_RANK[group.status]);
+    const slowest = Math.min(...ranks);
+    status = ORDER_STATUSES.find(key => STATUS_RANK[key] === slowest);
+    if (status === 'PENDING' && Math.max(...ranks) > STATUS_RANK.PENDING) {
+      status = 'PROCESSING';
+    }
+  }
+
+  return this.setStatus(status, changedBy, note);
+};
+
+// Items of the order that belong to a fulfillment group
+orderSchema.methods.getFulfillmentItems = function(group) {
+  const ids = new Set(group.items.map(id => id.toString()));
+  return this.items.filter(item => ids.has(item._id.toString()));
+};
+
+// What the buyer paid for the items of a fulfillment group
+orderSchema.methods.getFulfillmentTotal = function(group) {
+  return this.getFulfillmentItems(group).reduce((total, item) => total + (item.price * item.quantity), 0);
+};
+
+// Record a refund against the order and update the payment status. The amount
+// is capped at what has not been refunded yet; the applied amount is returned.
+orderSchema.methods.recordRefund = function(amount, returnRequestId) {
+  const refundable = Math.max(this.totalAmount - this.refundedAmount, 0);
+  const applied = Math.min(amount, refundable);
+
+  this.refunds.push({ amount: applied, returnRequest: returnRequestId });
+  this.refundedAmount += applied;
+
+  if (['PAID', 'PARTIALLY_REFUNDED'].includes(this.paymentStatus)) {
+    this.paymentStatus = this.refundedAmount >= this.totalAmount ? 'REFUNDED' : 'PARTIALLY_REFUNDED';
+  }
+  return applied;
+};
+
+// Record the initial status when the order is created
+orderSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      status: this.orderStatus,
+      changedBy: this.user
+    });
+  }
+  next();
+});
+
+// Split a new order into one fulfillment group per seller
+orderSchema.pre('save', function(next) {
+  if (!this.isNew || this.fulfillments.length > 0 || this.items.some(item => !item.seller)) {
+    return next();
+  }
+
+  const groups = new Map();
+  for (const item of this.items) {
+    const seller = item.seller.toString();
+    if (!groups.has(seller)) {
+      groups.set(seller, {
+        seller: item.seller,
+        items: [],
+        status: this.orderStatus,
+        statusHistory: [{ status: this.orderStatus, changedBy: this.user }]
+      });
+    }
+    groups.get(seller).items.push(item._id);
+  }
+  this.fulfillments = Array.from(groups.values());
+  next();
+});
+
 // Calculate total amount before saving
 orderSchema.pre('save', function(next) {
   if (this.isModified('items')) {
@@ -77,5 +356,7 @@ orderSchema.pre('save', function(next) {
   next();
 });
 
+orderSchema.statics.STATUS_TRANSITIONS = ORDER_STATUS_TRANSITIONS;
+
 const Order = mongoose.model('Order', orderSchema);
 module.exports = Order; 
\ No newline at end of file
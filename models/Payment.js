@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// One document per payment attempt against an order
+const paymentSchema = new mongoose.Schema({
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    method: {
+        type: String,
+        enum: ['card', 'cash', 'upi'],
+        required: true
+    },
+    // Provider's identifier for the payment intent
+    reference: {
+        type: String,
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+    status: {
+        type: String,
+        enum: ['CREATED', 'SUCCEEDED', 'FAILED'],
+        default: 'CREATED'
+    },
+    failureReason: String,
+    settledAt: Date,
+    events: [{
+        type: {
+            type: String,
+            required: true
+        },
+        amount: Number,
+        receivedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }]
+}, {
+    timestamps: true
+});
+
+paymentSchema.index({ provider: 1, reference: 1 }, { unique: true });
+paymentSchema.index({ order: 1, createdAt: -1 });
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+module.exports = Payment;
@@ -80,12 +80,39 @@ const productSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // GeoJSON point of the farm for distance searches. Coordinates are
+  // [longitude, latitude], in that order.
+  farmCoordinates: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      required: function() {
+        return Array.isArray(this.farmCoordinates?.coordinates);
+      }
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined,
+      validate: {
+        validator: (value) => value.length === 2 &&
+          value[0] >= -180 && value[0] <= 180 &&
+          value[1] >= -90 && value[1] <= 90,
+        message: 'Farm coordinates must be [longitude, latitude]'
+      }
+    }
+  },
   organic: {
     type: Boolean,
     default: false
   },
   harvestDate: Date,
   expiryDate: Date,
+  // Units sold net of returns, kept alongside quantityHistory for sorting by popularity
+  unitsSold: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   quantityHistory: [{
     type: {
       type: String,
@@ -106,6 +133,14 @@ const productSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Listing sorts; _id breaks ties so cursor pagination has a stable order
+productSchema.index({ createdAt: -1, _id: -1 });
+productSchema.index({ price: 1, _id: 1 });
+productSchema.index({ rating: -1, _id: -1 });
+productSchema.index({ unitsSold: -1, _id: -1 });
+productSchema.index({ name: 1, _id: 1 });
+productSchema.index({ farmCoordinates: '2dsphere' });
+
 // Calculate average rating when a review is added
 productSchema.methods.calculateAverageRating = function() {
   if (this.reviews.length === 0) {
@@ -127,6 +162,11 @@ productSchema.methods.updateStock = async function(quantity, type, reason = '')
   } else if (type === 'added' || type === 'returned') {
     this.stock += quantity;
   }
+  if (type === 'sold') {
+    this.unitsSold += quantity;
+  } else if (type === 'returned') {
+    this.unitsSold = Math.max(0, this.unitsSold - quantity);
+  }
 
   this.quantityHistory.push({
     type,
@@ -138,6 +178,64 @@ productSchema.methods.updateStock = async function(quantity, type, reason = '')
   return this;
 };
 
+// Atomically decrement stock and record a history entry. The stock condition is
+// part of the filter, so concurrent buyers cannot drive stock below zero.
+// Returns the updated product, or null if there was not enough stock.
+productSchema.statics.reserveStock = function(productId, quantity, reason = '', session = null) {
+  return this.findOneAndUpdate(
+    { _id: productId, stock: { $gte: quantity } },
+    {
+      $inc: { stock: -quantity, unitsSold: quantity },
+      $push: { quantityHistory: { type: 'sold', quantity, reason } }
+    },
+    { new: true, session }
+  );
+};
+
+// Derive unitsSold from the stock history for products created before the
+// field existed. Only touches products that do not have it yet.
+productSchema.statics.backfillUnitsSold = function() {
+  const unitsOf = (type) => ({
+    $sum: {
+      $map: {
+        input: { $filter: { input: '$quantityHistory', cond: { $eq: ['$$this.type', type] } } },
+        in: '$$this.quantity'
+      }
+    }
+  });
+  return this.updateMany(
+    { unitsSold: { $exists: false } },
+    [{ $set: { unitsSold: { $max: [0, { $subtract: [unitsOf('sold'), unitsOf('returned')] }] } } }]
+  );
+};
+
+// GeoJSON point of a seller's default address, or undefined without one
+const defaultAddressPoint = (seller) => {
+  const address = seller && seller.addresses.find(entry => entry.isDefault);
+  return address ? { type: 'Point', coordinates: [address.longitude, address.latitude] } : undefined;
+};
+
+// Farm coordinates for a new product that was listed without any
+productSchema.statics.defaultFarmCoordinates = async function(sellerId) {
+  const seller = await mongoose.model('User').findById(sellerId).select('addresses');
+  return defaultAddressPoint(seller);
+};
+
+// Give products without farm coordinates those of their seller's default
+// address, so products listed before coordinates existed appear in nearby
+// searches. Products whose seller has no default address are left out.
+productSchema.statics.backfillFarmCoordinates = async function() {
+  const missing = { 'farmCoordinates.coordinates': { $exists: false } };
+  const sellerIds = await this.distinct('seller', missing);
+  const sellers = await mongoose.model('User').find({ _id: { $in: sellerIds } }).select('addresses');
+  for (const seller of sellers) {
+    const point = defaultAddressPoint(seller);
+    if (point) {
+      await this.updateMany({ ...missing, seller: seller._id }, { $set: { farmCoordinates: point } });
+    }
+  }
+};
+
 // Method to check if quantity is available
 productSchema.methods.isQuantityAvailable = function(quantity) {
   return this.stock >= quantity && 
@@ -153,5 +251,25 @@ productSchema.pre('save', function(next) {
   next();
 });
 
+// Keep the in-process search index current. Required lazily because the
+// search service itself loads this model.
+const productSearch = () => require('../services/productSearch');
+
+productSchema.post('save', function(doc) {
+  productSearch().indexProduct(doc);
+});
+
+productSchema.post('findOneAndUpdate', function(doc) {
+  if (doc) productSearch().indexProduct(doc);
+});
+
+productSchema.post('deleteOne', { document: true, query: false }, function(doc) {
+  productSearch().removeProduct(doc._id);
+});
+
+productSchema.post('findOneAndDelete', function(doc) {
+  if (doc) productSearch().removeProduct(doc._id);
+});
+
 const Product = mongoose.model('Product', productSchema);
 module.exports = Product; 
\ No newline at end of file
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+// Default number of days after delivery during which items can be returned.
+// Perishable categories get a much shorter window. Each value can be
+// overridden with RETURN_WINDOW_DAYS_<CATEGORY>, e.g. RETURN_WINDOW_DAYS_DAIRY=2,
+// and RETURN_WINDOW_DAYS sets the window for every other category.
+const DEFAULT_RETURN_WINDOW_DAYS = 7;
+const CATEGORY_RETURN_WINDOW_DAYS = {
+    dairy: 1,
+    vegetables: 2,
+    fruits: 2
+};
+
+const returnRequestSchema = new mongoose.Schema({
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    items: [{
+        orderItem: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true
+        },
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product',
+            required: true
+        },
+        quantity: {
+            type: Number,
+            required: true,
+            min: 1
+        },
+        price: {
+            type: Number,
+            required: true
+        }
+    }],
+    reason: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    photos: [{
+        type: String
+    }],
+    status: {
+        type: String,
+        enum: ['REQUESTED', 'APPROVED', 'REJECTED'],
+        default: 'REQUESTED'
+    },
+    refundAmount: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reviewedAt: Date,
+    adminNote: String
+}, {
+    timestamps: true
+});
+
+returnRequestSchema.index({ user: 1, createdAt: -1 });
+returnRequestSchema.index({ order: 1 });
+returnRequestSchema.index({ status: 1, createdAt: -1 });
+
+// Value of the returned items at the prices they were ordered at
+returnRequestSchema.virtual('itemsTotal').get(function() {
+    return this.items.reduce((total, item) => total + (item.price * item.quantity), 0);
+});
+
+returnRequestSchema.set('toJSON', { virtuals: true });
+
+// Number of days after delivery during which a product category can be returned
+returnRequestSchema.statics.getReturnWindowDays = function(category) {
+    const override = process.env[`RETURN_WINDOW_DAYS_${String(category).toUpperCase()}`];
+    if (override !== undefined && !isNaN(Number(override))) {
+        return Number(override);
+    }
+    if (CATEGORY_RETURN_WINDOW_DAYS[category] !== undefined) {
+        return CATEGORY_RETURN_WINDOW_DAYS[category];
+    }
+    if (process.env.RETURN_WINDOW_DAYS !== undefined && !isNaN(Number(process.env.RETURN_WINDOW_DAYS))) {
+        return Number(process.env.RETURN_WINDOW_DAYS);
+    }
+    return DEFAULT_RETURN_WINDOW_DAYS;
+};
+
+const ReturnRequest = mongoose.model('ReturnRequest', returnRequestSchema);
+
+module.exports = ReturnRequest;
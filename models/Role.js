@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// Every permission a role can grant. Routes and socket handlers check these
+// names with requirePermission / hasPermission.
+const PERMISSIONS = {
+    'products:create': 'List new products for sale',
+    'products:manage-own': 'Edit, restock and delete products the user sells',
+    'products:manage-any': 'Edit, restock and delete any product',
+    'orders:read-all': 'View every order',
+    'orders:update-status': 'Move any order through its status flow',
+    'orders:fulfill': 'Ship and deliver the user\'s own fulfillment groups',
+    'payments:manage': 'View payments and set payment status by hand',
+    'returns:manage': 'Review and decide return requests',
+    'messages:reply': 'Answer user chats',
+    'messages:read-all': 'Read every conversation',
+    'messages:broadcast': 'Send broadcast messages to all users',
+    'seller:dashboard': 'Use the seller dashboard',
+    'users:manage': 'List, promote, disable and unlock users',
+    'roles:manage': 'Create and edit roles',
+    'audit:read': 'Read the security audit log',
+    'api-keys:manage': 'Issue and revoke API keys'
+};
+
+// Roles created on startup. "admin" always holds every permission and cannot
+// be edited, so an admin can never lock everyone out.
+const DEFAULT_ROLES = {
+    user: {
+        description: 'Buyer',
+        permissions: []
+    },
+    seller: {
+        description: 'Farmer or shop selling products',
+        permissions: ['products:create', 'products:manage-own', 'orders:fulfill', 'seller:dashboard']
+    },
+    support: {
+        description: 'Support staff answering chats',
+        permissions: ['messages:reply', 'messages:read-all', 'orders:read-all']
+    },
+    admin: {
+        description: 'Full access',
+        permissions: Object.keys(PERMISSIONS)
+    }
+};
+
+const SUPER_ROLE = 'admin';
+
+const roleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z][a-z0-9_-]{1,31}$/, 'Role name must be 2-32 lowercase letters, digits, - or _']
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    permissions: [{
+        type: String,
+        enum: Object.keys(PERMISSIONS)
+    }],
+    // Default roles cannot be deleted
+    builtIn: {
+        type: Boolean,
+        default: false
+    }
+}, {
+    timestamps: true
+});
+
+// Create any default role that is missing. Existing roles keep the permissions
+// admins gave them, except "admin" which is reset to every permission.
+roleSchema.statics.ensureDefaults = async function() {
+    for (const [name, definition] of Object.entries(DEFAULT_ROLES)) {
+        await this.updateOne(
+            { name },
+            { $setOnInsert: { name, description: definition.description, permissions: definition.permissions, builtIn: true } },
+            { upsert: true }
+        );
+    }
+    await this.updateOne({ name: SUPER_ROLE }, { $set: { permissions: Object.keys(PERMISSIONS) } });
+};
+
+roleSchema.statics.PERMISSIONS = PERMISSIONS;
+roleSchema.statics.DEFAULT_ROLES = DEFAULT_ROLES;
+roleSchema.statics.SUPER_ROLE = SUPER_ROLE;
+
+const Role = mongoose.model('Role', roleSchema);
+
+module.exports = Role;
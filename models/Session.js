@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Holds the hash of the current refresh token, which is
+// rotated on every refresh; access tokens carry the session ID so revoking the
+// session invalidates them as well.
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true
+    },
+    device: {
+        type: String,
+        trim: true
+    },
+    ip: String,
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: Date,
+    revokedReason: String
+}, {
+    timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB remove sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+sessionSchema.methods.revoke = function(reason = 'logout') {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+    return this;
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -1,5 +1,14 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+
+// Phone numbers are stored without spaces or dashes so "+91 98765-43210" and
+// "+919876543210" find the same account
+const normalizePhone = (phone) => {
+    return typeof phone === 'string' ? phone.replace(/[\s-]/g, '') : phone;
+};
 
 const userSchema = new mongoose.Schema({
     _id: {
@@ -17,30 +26,64 @@ const userSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // Optional for accounts created with a phone number only
     email: {
         type: String,
-        required: true,
+        required: function() {
+            return !this.phone;
+        },
         unique: true,
+        sparse: true,
         trim: true,
         lowercase: true
     },
+    // Phone-only accounts sign in with one-time codes and may have no password
     password: {
         type: String,
-        required: true,
+        required: function() {
+            return Boolean(this.email);
+        },
         minlength: 6
     },
+    // Name of a Role; its permissions decide what the user may do
     role: {
         type: String,
-        enum: ['user', 'admin'],
-        default: 'user'
+        default: 'user',
+        trim: true,
+        lowercase: true
     },
-    isAdmin: {
+    phone: {
+        type: String,
+        set: normalizePhone
+    },
+    emailVerified: {
         type: Boolean,
         default: false
     },
-    phone: {
+    disabled: {
+        type: Boolean,
+        default: false
+    },
+    disabledAt: {
+        type: Date
+    },
+    disabledReason: {
         type: String
     },
+    // Account deletion: anonymized once deletionScheduledFor passes unless cancelled
+    deletionRequestedAt: {
+        type: Date
+    },
+    deletionScheduledFor: {
+        type: Date
+    },
+    deletedAt: {
+        type: Date
+    },
+    phoneVerified: {
+        type: Boolean,
+        default: false
+    },
     address: {
         type: String
     },
@@ -58,6 +101,40 @@ const userSchema = new mongoose.Schema({
             default: 'light'
         }
     },
+    passwordResetTokenHash: {
+        type: String,
+        select: false
+    },
+    passwordResetExpires: {
+        type: Date,
+        select: false
+    },
+    // TOTP second factor. The secret and backup code hashes are only loaded on request.
+    twoFactorEnabled: {
+        type: Boolean,
+        default: false
+    },
+    twoFactorEnabledAt: {
+        type: Date
+    },
+    twoFactorSecret: {
+        type: String,
+        select: false
+    },
+    // Secret issued by setup that becomes active once a code from it is confirmed
+    twoFactorPendingSecret: {
+        type: String,
+        select: false
+    },
+    twoFactorBackupCodes: {
+        type: [String],
+        select: false
+    },
+    // Last accepted time step, so a code cannot be replayed
+    twoFactorLastStep: {
+        type: Number,
+        select: false
+    },
     addresses: [{
         street: {
             type: String,
@@ -96,30 +173,74 @@ const userSchema = new mongoose.Schema({
     timestamps: true
 });
 
-// Hash password before saving and set isAdmin based on role
+// A phone number can be verified on one account only, since it is used to sign in
+userSchema.index(
+    { phone: 1 },
+    { unique: true, partialFilterExpression: { phoneVerified: true } }
+);
+
+// Never serialize secrets. Applies to every response and socket event that
+// sends a user document.
+userSchema.set('toJSON', {
+    virtuals: true,
+    transform: (doc, ret) => {
+        delete ret.password;
+        delete ret.passwordResetTokenHash;
+        delete ret.passwordResetExpires;
+        delete ret.twoFactorSecret;
+        delete ret.twoFactorPendingSecret;
+        delete ret.twoFactorBackupCodes;
+        delete ret.twoFactorLastStep;
+        return ret;
+    }
+});
+
+// Hash password before saving
 userSchema.pre('save', async function(next) {
     const user = this;
     if (user.isModified('password')) {
         user.password = await bcrypt.hash(user.password, 8);
     }
-    // Set isAdmin based on role
-    user.isAdmin = user.role === 'admin';
     next();
 });
 
+// Issue a single-use password reset token. Only its hash is stored; the
+// plain token is returned so it can be sent to the user.
+userSchema.methods.createPasswordResetToken = function() {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.passwordResetTokenHash = crypto.createHash('sha256').update(token).digest('hex');
+    this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+    return token;
+};
+
+// Find the user a password reset token was issued to, if it has not expired
+userSchema.statics.findByPasswordResetToken = async (token) => {
+    const hash = crypto.createHash('sha256').update(String(token)).digest('hex');
+    return User.findOne({
+        passwordResetTokenHash: hash,
+        passwordResetExpires: { $gt: new Date() }
+    });
+};
+
 // Find user by credentials
 userSchema.statics.findByCredentials = async (email, password) => {
     const user = await User.findOne({ email });
-    if (!user) {
-        throw new Error('Invalid credentials');
+    // Accounts created with a phone number only have no password
+    if (!user || !user.password) {
+        throw Object.assign(new Error('Invalid credentials'), { status: 400 });
     }
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
-        throw new Error('Invalid credentials');
+        throw Object.assign(new Error('Invalid credentials'), { status: 400, user });
+    }
+    if (user.disabled) {
+        throw Object.assign(new Error('Account is disabled'), { status: 403 });
     }
     return user;
 };
 
+userSchema.statics.normalizePhone = normalizePhone;
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User; 
\ No newline at end of file
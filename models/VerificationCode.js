@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// A one-time code sent to confirm that a user owns an email address or phone
+// number, or to sign in with a phone number
+const verificationCodeSchema = new mongoose.Schema({
+    purpose: {
+        type: String,
+        enum: ['verify', 'login'],
+        default: 'verify'
+    },
+    // Not set for login codes, which may be sent before the account exists
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: function() {
+            return this.purpose === 'verify';
+        }
+    },
+    channel: {
+        type: String,
+        enum: ['email', 'phone'],
+        required: true
+    },
+    // The email address or phone number the code was sent to
+    target: {
+        type: String,
+        required: true
+    },
+    codeHash: {
+        type: String,
+        required: true
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: Date,
+    // Address that requested the code, to limit how many codes one client can send
+    ip: String
+}, {
+    timestamps: true
+});
+
+verificationCodeSchema.index({ user: 1, channel: 1, createdAt: -1 });
+verificationCodeSchema.index({ purpose: 1, target: 1, createdAt: -1 });
+verificationCodeSchema.index({ purpose: 1, ip: 1, createdAt: -1 });
+// Keep codes for a day after they expire so resend limits can still count them
+verificationCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const VerificationCode = mongoose.model('VerificationCode', verificationCodeSchema);
+
+module.exports = VerificationCode;
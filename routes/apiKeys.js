@@ -0,0 +1,211 @@
+const express = require('express');
+const router = express.Router();
+const apiKeyController = require('../controllers/apiKeyController');
+const { auth, requireSession, requirePermission } = require('../middleware/auth');
+
+// Keys can only be managed by a signed-in user, never with another API key
+const canManage = [auth, requireSession, requirePermission('api-keys:manage')];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         prefix:
+ *           type: string
+ *           description: First characters of the key, for recognising it
+ *         user:
+ *           type: string
+ *           description: User the key acts as
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *         allowedIps:
+ *           type: array
+ *           items:
+ *             type: string
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedIp:
+ *           type: string
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   post:
+ *     summary: Issue an API key (requires api-keys:manage)
+ *     description: >
+ *       Integrations send the key in the X-API-Key header. Requests act as the key's
+ *       user and can only use the listed permissions that the user's role also grants.
+ *       Keys are refused on endpoints that do not require a permission, such as the
+ *       cart, checkout and profile. The plain key is returned once; only its hash is stored.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - permissions
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: ERP stock sync
+ *               userId:
+ *                 type: string
+ *                 description: User the key acts as. Defaults to the caller.
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [orders:read-all, products:manage-any]
+ *               allowedIps:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [203.0.113.10, 198.51.100.0/24]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: API key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 key:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         description: Invalid name, permissions, IP list or expiry, or permissions the user's role does not grant
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied, or the caller lacks some of the permissions
+ *       404:
+ *         description: User not found
+ */
+router.post('/', canManage, apiKeyController.createApiKey);
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   get:
+ *     summary: List API keys (requires api-keys:manage)
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of keys per page
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: Filter by the user the key acts as
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only keys that are neither revoked nor expired
+ *     responses:
+ *       200:
+ *         description: API keys retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ */
+router.get('/', canManage, apiKeyController.getApiKeys);
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   get:
+ *     summary: Get an API key, including when and from where it was last used (requires api-keys:manage)
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: API key ID
+ *     responses:
+ *       200:
+ *         description: API key details
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: API key not found
+ */
+router.get('/:id', canManage, apiKeyController.getApiKey);
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key (requires api-keys:manage)
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: API key ID
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: API key not found
+ *       409:
+ *         description: API key is already revoked
+ */
+router.delete('/:id', canManage, apiKeyController.revokeApiKey);
+
+module.exports = router;
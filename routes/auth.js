@@ -1,10 +1,84 @@
 const express = require('express');
+const bcrypt = require('bcryptjs');
 const User = require('../models/User');
-const { auth } = require('../middleware/auth');
-const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { auth, requireSession } = require('../middleware/auth');
+const { createSession, rotateSession, revokeUserSessions } = require('../services/sessions');
+const { sendMail } = require('../services/mailer');
+const {
+  sendVerificationCode,
+  confirmVerificationCode,
+  sendLoginCode,
+  confirmLoginCode
+} = require('../services/verification');
+const { assertNotThrottled, recordFailure, recordSuccess } = require('../services/authThrottle');
+const twoFactor = require('../services/twoFactor');
 
 const router = express.Router();
 
+// Drop Socket.IO connections that were authenticated with revoked sessions
+const disconnectSockets = (req, room) => {
+  const io = req.app.get('io');
+  if (io) {
+    io.in(room).disconnectSockets(true);
+  }
+};
+
+// Respond to an error from the auth services, passing on Retry-After when throttled
+const sendError = (res, error, fallbackStatus = 500) => {
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  res.status(error.status || fallbackStatus).json({ message: error.message });
+};
+
+// Run a guessable check (password, OTP, 2FA code) behind the failed-attempt
+// limits for the scope. Rejections with status 400 count as failures.
+const limitAttempts = async (scope, identity, attempt, user) => {
+  await assertNotThrottled(scope, identity);
+  let result;
+  try {
+    result = await attempt();
+  } catch (error) {
+    if (error.status === 400) {
+      await recordFailure(scope, identity, { user: user || error.user });
+    }
+    throw error;
+  }
+  await recordSuccess(scope, identity);
+  return result;
+};
+
+// Finish a successful sign-in: accounts with 2FA (or whose role requires it)
+// get a challenge, everyone else a new session
+const completeSignIn = async (req, res, user, status = 200) => {
+  if (twoFactor.needsSecondFactor(user)) {
+    return res.json({
+      twoFactorRequired: true,
+      enrollmentRequired: !user.twoFactorEnabled,
+      challengeToken: twoFactor.createChallengeToken(user)
+    });
+  }
+
+  const { token, refreshToken } = await createSession(user, req);
+  res.status(status).json({ user, token, refreshToken });
+};
+
+// Authenticate with an access token, or with a login challenge token in the
+// body so accounts whose role requires 2FA can enroll before their first sign-in
+const authOrChallenge = async (req, res, next) => {
+  if (!req.body || !req.body.challengeToken) {
+    return auth(req, res, () => requireSession(req, res, next));
+  }
+  try {
+    req.user = await twoFactor.verifyChallengeToken(req.body.challengeToken);
+    req.viaChallenge = true;
+    next();
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
 /**
  * @swagger
  * /api/auth/register:
@@ -21,7 +95,6 @@ const router = express.Router();
  *               - name
  *               - email
  *               - password
- *               - phone
  *             properties:
  *               name:
  *                 type: string
@@ -33,16 +106,35 @@ const router = express.Router();
  *                 type: string
  *     responses:
  *       201:
- *         description: User registered successfully
+ *         description: >
+ *           User registered successfully. Verification codes are sent to the email and phone.
+ *           To create an account with a phone number only, use /api/auth/phone/request-code
+ *           and /api/auth/phone/verify.
  *       400:
  *         description: Invalid input
  */
 router.post('/register', async (req, res) => {
   try {
-    const user = new User(req.body);
+    // Only these fields can be set at registration; role and flags stay at their defaults
+    const { name, email, password, phone } = req.body;
+    if (!email || !password) {
+      return res.status(400).json({ message: 'Email and password are required' });
+    }
+    const user = new User({ name, email, password, phone });
     await user.save();
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
-    res.status(201).json({ user, token });
+
+    // Registration succeeds even if a code cannot be delivered; it can be resent
+    for (const channel of ['email', 'phone']) {
+      if (!user[channel]) continue;
+      try {
+        await sendVerificationCode(user, channel);
+      } catch (error) {
+        console.error(`Error sending ${channel} verification code:`, error);
+      }
+    }
+
+    const { token, refreshToken } = await createSession(user, req);
+    res.status(201).json({ user, token, refreshToken });
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
@@ -68,20 +160,171 @@ router.post('/register', async (req, res) => {
  *                 type: string
  *               password:
  *                 type: string
+ *               device:
+ *                 type: string
+ *                 description: Optional device name shown in the active sessions list
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: >
+ *           Login successful. Returns a short-lived access token and a refresh token
+ *           that can be exchanged at /api/auth/refresh. Accounts with two-factor
+ *           authentication, or whose role requires it, instead receive
+ *           `twoFactorRequired: true` and a `challengeToken` to complete sign-in at
+ *           /api/auth/2fa/login (or to enroll first when `enrollmentRequired` is true).
  *       400:
  *         description: Invalid credentials
+ *       403:
+ *         description: Account is disabled
+ *       429:
+ *         description: >
+ *           Too many failed attempts for this account or from this address. Failures
+ *           add a growing delay before the next attempt and eventually lock the account
+ *           temporarily; see the Retry-After header.
  */
 router.post('/login', async (req, res) => {
   try {
     const { email, password } = req.body;
-    const user = await User.findByCredentials(email, password);
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
-    res.json({ user, token });
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ message: 'Email and password are required' });
+    }
+    const user = await limitAttempts(
+      'login',
+      { account: email, ip: req.ip },
+      () => User.findByCredentials(email, password)
+    );
+    await completeSignIn(req, res, user);
   } catch (error) {
-    res.status(400).json({ message: error.message });
+    sendError(res, error, 400);
+  }
+});
+
+const PHONE_REGEX = /^\+?\d{10,15}$/;
+
+/**
+ * @swagger
+ * /api/auth/phone/request-code:
+ *   post:
+ *     summary: Send a one-time sign-in code to a phone number
+ *     description: >
+ *       Works for existing accounts with a verified phone and for new users, who can
+ *       create an account when verifying the code. Codes expire and allow a limited
+ *       number of attempts.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phone
+ *             properties:
+ *               phone:
+ *                 type: string
+ *                 example: '+919876543210'
+ *     responses:
+ *       200:
+ *         description: Code sent
+ *       400:
+ *         description: Invalid phone number
+ *       429:
+ *         description: Too many codes requested; see the Retry-After header
+ */
+router.post('/phone/request-code', async (req, res) => {
+  try {
+    const phone = User.normalizePhone(req.body.phone);
+    if (typeof phone !== 'string' || !PHONE_REGEX.test(phone)) {
+      return res.status(400).json({ message: 'Invalid phone number format' });
+    }
+
+    await sendLoginCode(phone, req.ip);
+    res.json({ message: 'Sign-in code sent' });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/phone/verify:
+ *   post:
+ *     summary: Sign in (or sign up) with a phone number and one-time code
+ *     description: >
+ *       Returns the same access and refresh tokens as /api/auth/login, or a 2FA challenge
+ *       for accounts that need one. If no account has this phone number verified, a new
+ *       phone-only account is created, which requires `name`.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phone
+ *               - code
+ *             properties:
+ *               phone:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *                 description: Required when creating a new account
+ *               device:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Signed in
+ *       201:
+ *         description: Account created and signed in
+ *       400:
+ *         description: >
+ *           Invalid or expired code, or name missing for a new account
+ *           (`registrationRequired: true`)
+ *       403:
+ *         description: Account is disabled
+ *       429:
+ *         description: Too many wrong codes; see the Retry-After header
+ */
+router.post('/phone/verify', async (req, res) => {
+  try {
+    const phone = User.normalizePhone(req.body.phone);
+    const { code, name } = req.body;
+    if (typeof phone !== 'string' || !PHONE_REGEX.test(phone) || !code) {
+      return res.status(400).json({ message: 'Phone number and code are required' });
+    }
+
+    let user = await User.findOne({ phone, phoneVerified: true });
+    // Ask for a name before using up the code, so the user can retry with it
+    if (!user && (typeof name !== 'string' || name.trim().length < 2)) {
+      return res.status(400).json({
+        message: 'No account uses this phone number. Provide a name to create one',
+        registrationRequired: true
+      });
+    }
+
+    await limitAttempts(
+      'otp',
+      { account: phone, ip: req.ip },
+      () => confirmLoginCode(phone, code),
+      user
+    );
+
+    if (user && user.disabled) {
+      return res.status(403).json({ message: 'Account is disabled' });
+    }
+
+    let status = 200;
+    if (!user) {
+      user = new User({ name: name.trim(), phone, phoneVerified: true });
+      await user.save();
+      status = 201;
+    }
+
+    await completeSignIn(req, res, user, status);
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
@@ -112,8 +355,7 @@ router.get('/profile/:id', auth, async (req, res) => {
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
-    const userObj = user.toObject ? user.toObject() : { ...user };
-    userObj.id = userObj._id;
+    const userObj = user.toJSON();
     delete userObj._id;
     res.json(userObj);
   } catch (error) {
@@ -121,4 +363,681 @@ router.get('/profile/:id', auth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token
+ *     description: >
+ *       Refresh tokens rotate: each call returns a new refresh token and the old one
+ *       stops working. Reusing an old refresh token revokes the whole session.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access and refresh tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *       401:
+ *         description: Invalid, expired or revoked refresh token
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { token, refreshToken } = await rotateSession(req.body.refreshToken, req);
+    res.json({ token, refreshToken });
+  } catch (error) {
+    res.status(401).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out the current session
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout', auth, requireSession, async (req, res) => {
+  try {
+    req.authSession.revoke('logout');
+    await req.authSession.save();
+    disconnectSockets(req, `session:${req.authSession._id}`);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out of all devices
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Every session of the user has been revoked
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout-all', auth, requireSession, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user._id, 'logout_all');
+    disconnectSockets(req, req.user._id.toString());
+    res.json({ message: 'Logged out of all devices', revoked });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List the authenticated user's active sessions
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                   device:
+ *                     type: string
+ *                   ip:
+ *                     type: string
+ *                   lastSeenAt:
+ *                     type: string
+ *                     format: date-time
+ *                   createdAt:
+ *                     type: string
+ *                     format: date-time
+ *                   current:
+ *                     type: boolean
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/sessions', auth, requireSession, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastSeenAt: -1 });
+
+    res.json(sessions.map(session => ({
+      id: session._id,
+      device: session.device,
+      ip: session.ip,
+      lastSeenAt: session.lastSeenAt,
+      createdAt: session.createdAt,
+      current: session._id.equals(req.authSession._id)
+    })));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one of the authenticated user's sessions
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', auth, requireSession, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id, revokedAt: null });
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    session.revoke('revoked_by_user');
+    await session.save();
+    disconnectSockets(req, `session:${session._id}`);
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: >
+ *       Sends a single-use reset token to the account's email. The response is the same
+ *       whether or not the email is registered. Every request counts towards the
+ *       per-email and per-IP limits, whether or not an email was sent.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *       400:
+ *         description: Email is required
+ *       429:
+ *         description: Too many reset requests for this email or from this address; see the Retry-After header
+ */
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    // Each request sends an email, so all of them count, not just failures
+    const identity = { account: email, ip: req.ip };
+    await assertNotThrottled('reset-request', identity);
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    await recordFailure('reset-request', identity, { user });
+    if (user) {
+      const token = user.createPasswordResetToken();
+      await user.save();
+
+      const appUrl = process.env.APP_URL || 'http://localhost:3000';
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your FarmBros password',
+        text: `Hi ${user.name},\n\n` +
+          `Use this link to reset your password:\n${appUrl}/reset-password?token=${token}\n\n` +
+          'The link expires soon and can only be used once. If you did not ask to reset ' +
+          'your password, you can ignore this email.'
+      });
+    }
+
+    res.json({ message: 'If an account exists for this email, a reset link has been sent' });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password with a reset token
+ *     description: The token can only be used once. All existing sessions are logged out.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid or expired token, or invalid password
+ *       429:
+ *         description: Too many invalid tokens from this address; see the Retry-After header
+ */
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Token and password are required' });
+    }
+    if (typeof password !== 'string' || password.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters long' });
+    }
+
+    const identity = { ip: req.ip };
+    await assertNotThrottled('password-reset', identity);
+
+    const user = await User.findByPasswordResetToken(token);
+    if (!user) {
+      await recordFailure('password-reset', identity);
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    user.password = password;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    await revokeUserSessions(user._id, 'password_reset');
+    disconnectSockets(req, user._id.toString());
+
+    res.json({ message: 'Password reset successfully. Please log in with your new password' });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/verify/send:
+ *   post:
+ *     summary: Send (or resend) a verification code to the user's email or phone
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - channel
+ *             properties:
+ *               channel:
+ *                 type: string
+ *                 enum: [email, phone]
+ *     responses:
+ *       200:
+ *         description: Verification code sent
+ *       400:
+ *         description: Invalid channel, no contact on the account or already verified
+ *       401:
+ *         description: Unauthorized
+ *       429:
+ *         description: Too many codes requested; see the Retry-After header
+ */
+router.post('/verify/send', auth, requireSession, async (req, res) => {
+  try {
+    await sendVerificationCode(req.user, req.body.channel);
+    res.json({ message: 'Verification code sent' });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/verify/confirm:
+ *   post:
+ *     summary: Confirm the user's email or phone with a verification code
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - channel
+ *               - code
+ *             properties:
+ *               channel:
+ *                 type: string
+ *                 enum: [email, phone]
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Contact verified
+ *       400:
+ *         description: Invalid or expired code
+ *       401:
+ *         description: Unauthorized
+ *       429:
+ *         description: Too many wrong codes; see the Retry-After header
+ */
+router.post('/verify/confirm', auth, requireSession, async (req, res) => {
+  try {
+    const { channel, code } = req.body;
+    if (!code) {
+      return res.status(400).json({ message: 'Code is required' });
+    }
+    const user = await limitAttempts(
+      'otp',
+      { account: req.user._id.toString(), ip: req.ip },
+      () => confirmVerificationCode(req.user, channel, code),
+      req.user
+    );
+
+    res.json({
+      message: `${channel === 'email' ? 'Email' : 'Phone'} verified successfully`,
+      emailVerified: user.emailVerified,
+      phoneVerified: user.phoneVerified
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/login:
+ *   post:
+ *     summary: Complete sign-in with a second factor
+ *     description: >
+ *       Exchanges the challenge token from /api/auth/login and a code from the
+ *       authenticator app (or an unused backup code) for access and refresh tokens.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: 6-digit authenticator code or a backup code
+ *               device:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       400:
+ *         description: Invalid authentication code
+ *       401:
+ *         description: Invalid or expired challenge token
+ *       403:
+ *         description: Two-factor enrollment is required first
+ *       429:
+ *         description: Too many wrong codes; see the Retry-After header
+ */
+router.post('/2fa/login', async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    const user = await twoFactor.verifyChallengeToken(challengeToken);
+    if (!user.twoFactorEnabled) {
+      return res.status(403).json({ message: 'Set up two-factor authentication to continue' });
+    }
+
+    await limitAttempts(
+      'otp',
+      { account: user._id.toString(), ip: req.ip },
+      () => twoFactor.verifySecondFactor(user._id, code),
+      user
+    );
+
+    const { token, refreshToken } = await createSession(user, req);
+    res.json({ user, token, refreshToken });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: >
+ *       Returns a new TOTP secret and its otpauth:// provisioning URI to show as a QR
+ *       code. Send a code from the app to /api/auth/2fa/enable to finish. Accounts that
+ *       must enroll before signing in can pass their login challenge token instead of
+ *       a bearer token.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secret and provisioning URI
+ *       400:
+ *         description: Two-factor authentication is already enabled
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/2fa/setup', authOrChallenge, async (req, res) => {
+  try {
+    const { secret, otpauthUrl } = await twoFactor.startEnrollment(req.user);
+    res.json({ secret, otpauthUrl });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Finish two-factor enrollment
+ *     description: >
+ *       Confirms a code from the authenticator app and turns on 2FA. The response
+ *       contains single-use backup codes that are never shown again. When called with
+ *       a login challenge token, sign-in is completed and tokens are returned too.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *               challengeToken:
+ *                 type: string
+ *               device:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *       400:
+ *         description: Invalid code, setup not started or already enabled
+ *       401:
+ *         description: Unauthorized
+ *       429:
+ *         description: Too many wrong codes; see the Retry-After header
+ */
+router.post('/2fa/enable', authOrChallenge, async (req, res) => {
+  try {
+    const result = await limitAttempts(
+      'otp',
+      { account: req.user._id.toString(), ip: req.ip },
+      () => twoFactor.confirmEnrollment(req.user._id, req.body.code),
+      req.user
+    );
+
+    const response = {
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe',
+      backupCodes: result.backupCodes
+    };
+    if (req.viaChallenge) {
+      const { token, refreshToken } = await createSession(result.user, req);
+      Object.assign(response, { user: result.user, token, refreshToken });
+    }
+    res.json(response);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/backup-codes:
+ *   post:
+ *     summary: Replace all backup codes
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Current authenticator code
+ *     responses:
+ *       200:
+ *         description: New backup codes
+ *       400:
+ *         description: Invalid authentication code
+ *       401:
+ *         description: Unauthorized
+ *       429:
+ *         description: Too many wrong codes; see the Retry-After header
+ */
+router.post('/2fa/backup-codes', auth, requireSession, async (req, res) => {
+  try {
+    await limitAttempts(
+      'otp',
+      { account: req.user._id.toString(), ip: req.ip },
+      () => twoFactor.verifySecondFactor(req.user._id, req.body.code),
+      req.user
+    );
+
+    const backupCodes = await twoFactor.regenerateBackupCodes(req.user._id);
+    res.json({ backupCodes });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication
+ *     description: Not allowed for roles that require 2FA.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 description: Required unless the account has no password (phone sign-in only)
+ *               code:
+ *                 type: string
+ *                 description: Authenticator code or a backup code
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Wrong password or code
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Two-factor authentication is required for this role
+ *       429:
+ *         description: Too many wrong codes; see the Retry-After header
+ */
+router.post('/2fa/disable', auth, requireSession, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    if (twoFactor.isTwoFactorRequired(req.user)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for your role' });
+    }
+    if (!req.user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    // Accounts without a password (phone sign-in only) confirm with the code alone
+    if (req.user.password && (!password || !(await bcrypt.compare(String(password), req.user.password)))) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    await limitAttempts(
+      'otp',
+      { account: req.user._id.toString(), ip: req.ip },
+      () => twoFactor.verifySecondFactor(req.user._id, code),
+      req.user
+    );
+
+    await twoFactor.disableTwoFactor(req.user._id);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const messageController = require('../controllers/messageController');
-const { auth, isAdmin } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
 
 /**
  * @swagger
@@ -297,7 +297,7 @@ router.put('/:messageId/read', auth, messageController.markMessageAsRead);
  *       500:
  *         description: Server error
  */
-router.post('/user/:userId', auth, isAdmin, messageController.sendMessageToUser);
+router.post('/user/:userId', auth, requirePermission('messages:reply'), messageController.sendMessageToUser);
 
 /**
  * @swagger
@@ -340,7 +340,7 @@ router.post('/user/:userId', auth, isAdmin, messageController.sendMessageToUser)
  *       500:
  *         description: Server error
  */
-router.post('/broadcast', auth, isAdmin, messageController.sendBroadcastMessage);
+router.post('/broadcast', auth, requirePermission('messages:broadcast'), messageController.sendBroadcastMessage);
 
 /**
  * @swagger
@@ -420,7 +420,7 @@ router.post('/broadcast', auth, isAdmin, messageController.sendBroadcastMessage)
  *       500:
  *         description: Server error
  */
-router.get('/admin/conversations', auth, isAdmin, messageController.getAdminConversations);
+router.get('/admin/conversations', auth, requirePermission('messages:read-all'), messageController.getAdminConversations);
 
 /**
  * @swagger
@@ -530,7 +530,7 @@ router.get('/admin/conversations', auth, isAdmin, messageController.getAdminConv
  *       500:
  *         description: Server error
  */
-router.get('/admin/all-messages', auth, isAdmin, messageController.getAllMessages);
+router.get('/admin/all-messages', auth, requirePermission('messages:read-all'), messageController.getAllMessages);
 
 /**
  * @swagger
@@ -598,7 +598,7 @@ router.get('/admin/all-messages', auth, isAdmin, messageController.getAllMessage
  *       500:
  *         description: Server error
  */
-router.get('/admin/chats/:userId', auth, isAdmin, messageController.getSpecificUserChatHistory);
+router.get('/admin/chats/:userId', auth, requirePermission('messages:read-all'), messageController.getSpecificUserChatHistory);
 
 /**
  * @swagger
@@ -636,6 +636,6 @@ router.get('/admin/chats/:userId', auth, isAdmin, messageController.getSpecificU
  *       500:
  *         description: Server error
  */
-router.put('/admin/:messageId/read', auth, isAdmin, messageController.markMessageAsReadAdmin);
+router.put('/admin/:messageId/read', auth, requirePermission('messages:reply'), messageController.markMessageAsReadAdmin);
 
 module.exports = router; 
\ No newline at end of file
@@ -1,15 +1,54 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Order = require('../models/Order');
 const Product = require('../models/Product');
+const CartItem = require('../models/Cart');
+const { auth, requirePermission, requireVerified } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const payments = require('../services/payments');
+const { reserveOrderStock, cancelOrder } = require('../services/orders');
+const { hasPermission } = require('../services/permissions');
 
 const router = express.Router();
 
+// Create the payment intent for a newly placed order and build the response
+// body: the order plus what the client needs to complete the payment
+const withPaymentIntent = async (order) => {
+  const body = order.toJSON();
+  try {
+    const { payment, clientSecret } = await payments.createPaymentForOrder(order);
+    body.payment = {
+      id: payment._id,
+      provider: payment.provider,
+      reference: payment.reference,
+      amount: payment.amount,
+      currency: payment.currency,
+      clientSecret
+    };
+  } catch (error) {
+    // The order stands; payment can be retried once the provider is reachable
+    console.error('Error creating payment intent:', error);
+    body.payment = null;
+  }
+  return body;
+};
+
 /**
  * @swagger
  * /api/orders:
  *   post:
  *     summary: Create a new order
  *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *         description: >
+ *           Optional client-generated key. Retrying with the same key replays the first
+ *           response; reusing it with a different body returns 422.
  *     requestBody:
  *       required: true
  *       content:
@@ -60,8 +99,16 @@ const router = express.Router();
  *         description: Order created successfully
  *       400:
  *         description: Invalid input or insufficient stock
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Email (or phone, if configured) must be verified before ordering
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed (keys left unfinished for IDEMPOTENCY_LOCK_TIMEOUT_SECONDS, default 60, can be retried)
+ *       422:
+ *         description: Idempotency-Key was already used for a different request
  */
-router.post('/', async (req, res) => {
+router.post('/', auth, requireVerified, idempotency, async (req, res) => {
   try {
     const { items, shippingAddress, paymentMethod } = req.body;
 
@@ -80,6 +127,10 @@ router.post('/', async (req, res) => {
       });
     }
 
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ message: 'Order must contain at least one item' });
+    }
+
     // Validate items and check stock
     for (const item of items) {
       const product = await Product.findById(item.product);
@@ -92,24 +143,192 @@ router.post('/', async (req, res) => {
         });
       }
       item.price = product.price;
+      item.seller = product.seller;
     }
 
     const order = new Order({
+      user: req.user._id,
       items,
       shippingAddress,
       paymentMethod,
       totalAmount: items.reduce((total, item) => total + (item.price * item.quantity), 0)
     });
 
-    // Update product stock
-    for (const item of items) {
-      await Product.findByIdAndUpdate(item.product, {
-        $inc: { stock: -item.quantity }
+    // Reserve stock and save the order together: either every line item is
+    // decremented and the order saved, or nothing changes
+    await mongoose.connection.transaction(async (session) => {
+      await reserveOrderStock(order, session);
+      await order.save({ session });
+    });
+
+    res.status(201).json(await withPaymentIntent(order));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/checkout:
+ *   post:
+ *     summary: Place an order from the authenticated user's cart
+ *     description: >
+ *       Validates every cart item against current stock and order quantity limits,
+ *       snapshots current product prices, creates the order for a saved address and
+ *       empties the cart. Stock, order and cart are updated in a single transaction.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *         description: >
+ *           Optional client-generated key. Retrying with the same key replays the first
+ *           response; reusing it with a different body returns 422.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - paymentMethod
+ *             properties:
+ *               addressId:
+ *                 type: string
+ *                 description: ID of a saved address from the user's profile. Defaults to the default address.
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [card, cash, upi]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Order created and cart cleared
+ *       400:
+ *         description: Empty cart, invalid input or cart items that cannot be ordered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CartValidation'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Address not found
+ *       403:
+ *         description: Email (or phone, if configured) must be verified before ordering
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed (keys left unfinished for IDEMPOTENCY_LOCK_TIMEOUT_SECONDS, default 60, can be retried)
+ *       422:
+ *         description: Idempotency-Key was already used for a different request
+ */
+router.post('/checkout', auth, requireVerified, idempotency, async (req, res) => {
+  try {
+    const { addressId, paymentMethod, notes } = req.body;
+
+    // Validate payment method
+    if (!['card', 'cash', 'upi'].includes(paymentMethod)) {
+      return res.status(400).json({ 
+        message: 'Payment method must be one of: card, cash, upi' 
       });
     }
 
-    await order.save();
-    res.status(201).json(order);
+    // Resolve the shipping address from the user's saved addresses
+    const address = addressId
+      ? req.user.addresses.id(addressId)
+      : req.user.addresses.find(addr => addr.isDefault) || req.user.addresses[0];
+    if (!address) {
+      return res.status(addressId ? 404 : 400).json({
+        message: addressId ? 'Address not found' : 'Add a shipping address to your profile before checking out'
+      });
+    }
+
+    const cartItems = await CartItem.find({ user: req.user._id }).populate('product');
+    if (cartItems.length === 0) {
+      return res.status(400).json({ message: 'Cart is empty' });
+    }
+
+    // Validate every cart item before touching stock
+    const issues = [];
+    for (const cartItem of cartItems) {
+      const { product, quantity } = cartItem;
+      if (!product) {
+        issues.push({
+          type: 'product_not_found',
+          message: 'Product is no longer available',
+          requested: quantity
+        });
+        continue;
+      }
+      if (product.isQuantityAvailable(quantity)) continue;
+
+      const issue = {
+        productId: product._id,
+        productName: product.name,
+        requested: quantity
+      };
+      if (product.stock < quantity) {
+        Object.assign(issue, {
+          type: 'insufficient_stock',
+          message: `Insufficient stock for ${product.name}. Available: ${product.stock}`,
+          available: product.stock
+        });
+      } else if (quantity < product.minOrderQuantity) {
+        Object.assign(issue, {
+          type: 'below_minimum',
+          message: `Minimum order quantity for ${product.name} is ${product.minOrderQuantity}`,
+          minimum: product.minOrderQuantity
+        });
+      } else {
+        Object.assign(issue, {
+          type: 'above_maximum',
+          message: `Maximum order quantity for ${product.name} is ${product.maxOrderQuantity}`,
+          maximum: product.maxOrderQuantity
+        });
+      }
+      issues.push(issue);
+    }
+
+    if (issues.length > 0) {
+      return res.status(400).json({
+        message: 'Some cart items cannot be ordered',
+        isValid: false,
+        issues
+      });
+    }
+
+    // Snapshot current prices so the order is not affected by later price changes
+    const items = cartItems.map(cartItem => ({
+      product: cartItem.product._id,
+      quantity: cartItem.quantity,
+      price: cartItem.product.price,
+      seller: cartItem.product.seller
+    }));
+
+    const order = new Order({
+      user: req.user._id,
+      items,
+      shippingAddress: {
+        street: address.street,
+        city: address.city,
+        state: address.state,
+        country: address.country,
+        zipCode: address.zipCode
+      },
+      paymentMethod,
+      notes,
+      totalAmount: items.reduce((total, item) => total + (item.price * item.quantity), 0)
+    });
+
+    await mongoose.connection.transaction(async (session) => {
+      await reserveOrderStock(order, session);
+      await order.save({ session });
+      await CartItem.deleteMany({ user: req.user._id }, { session });
+    });
+
+    res.status(201).json(await withPaymentIntent(order));
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
@@ -119,18 +338,160 @@ router.post('/', async (req, res) => {
  * @swagger
  * /api/orders:
  *   get:
- *     summary: Get all orders
+ *     summary: Get the authenticated user's orders
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of orders per page
+ *       - in: query
+ *         name: orderStatus
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, PROCESSING, SHIPPED, DELIVERED, CANCELLED]
+ *         description: Filter by order status
+ *     responses:
+ *       200:
+ *         description: The caller's orders, newest first
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = { user: req.user._id };
+    if (req.query.orderStatus) query.orderStatus = req.query.orderStatus;
+
+    const orders = await Order.find(query)
+      .populate('items.product', 'name images price')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Order.countDocuments(query);
+
+    res.json({
+      orders,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/admin/all:
+ *   get:
+ *     summary: Get all orders with filters (requires orders:read-all)
  *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of orders per page
+ *       - in: query
+ *         name: orderStatus
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, PROCESSING, SHIPPED, DELIVERED, CANCELLED]
+ *         description: Filter by order status
+ *       - in: query
+ *         name: paymentStatus
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, PAID, FAILED, REFUND_PENDING, REFUNDED, PARTIALLY_REFUNDED]
+ *         description: Filter by payment status
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: Filter by buyer user ID
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only orders placed on or after this date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only orders placed on or before this date
  *     responses:
  *       200:
- *         description: List of all orders
+ *         description: Filtered, paginated list of orders
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
  */
-router.get('/', async (req, res) => {
+router.get('/admin/all', auth, requirePermission('orders:read-all'), async (req, res) => {
   try {
-    const orders = await Order.find()
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const { orderStatus, paymentStatus, user, startDate, endDate } = req.query;
+
+    const query = {};
+    if (orderStatus) query.orderStatus = orderStatus;
+    if (paymentStatus) query.paymentStatus = paymentStatus;
+    if (user) query.user = user;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const orders = await Order.find(query)
+      .populate('user', 'name email phone')
       .populate('items.product', 'name images price')
-      .sort({ createdAt: -1 });
-    res.json(orders);
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Order.countDocuments(query);
+
+    res.json({
+      orders,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -142,6 +503,8 @@ router.get('/', async (req, res) => {
  *   get:
  *     summary: Get a single order by ID
  *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -152,10 +515,14 @@ router.get('/', async (req, res) => {
  *     responses:
  *       200:
  *         description: Order details
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not authorized to view this order
  *       404:
  *         description: Order not found
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', auth, async (req, res) => {
   try {
     const order = await Order.findById(req.params.id)
       .populate('items.product', 'name images price');
@@ -164,18 +531,101 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Order not found' });
     }
 
+    // Buyers can only see their own orders; orders:read-all can see any
+    if (order.user.toString() !== req.user._id.toString() && !(await hasPermission(req.user, 'orders:read-all'))) {
+      return res.status(403).json({ message: 'Not authorized to view this order' });
+    }
+
     res.json(order);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
+/**
+ * @swagger
+ * /api/orders/{id}/cancel:
+ *   post:
+ *     summary: Cancel one of the authenticated user's orders
+ *     description: >
+ *       Only orders that are still PENDING or PROCESSING, with no fulfillment group shipped,
+ *       can be cancelled. Every item's quantity is returned to stock and a paid order is
+ *       flagged for refund.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Why the order is being cancelled
+ *     responses:
+ *       200:
+ *         description: Order cancelled successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not authorized to cancel this order
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order can no longer be cancelled
+ */
+router.post('/:id/cancel', auth, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (order.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to cancel this order' });
+    }
+
+    if (!order.isCancellable()) {
+      return res.status(409).json({
+        message: order.canTransitionTo('CANCELLED')
+          ? 'Order cannot be cancelled because some items have already shipped'
+          : `Order cannot be cancelled once it is ${order.orderStatus}`,
+        currentStatus: order.orderStatus
+      });
+    }
+
+    await cancelOrder(order, req.user._id, req.body.reason);
+    res.json({
+      message: 'Order cancelled successfully',
+      order
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
 /**
  * @swagger
  * /api/orders/{id}/status:
  *   patch:
- *     summary: Update order status
+ *     summary: Update order status (requires orders:update-status)
+ *     description: >
+ *       Orders follow PENDING -> PROCESSING -> SHIPPED -> DELIVERED and may only be
+ *       CANCELLED before they ship. Every change is recorded in statusHistory.
  *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -194,31 +644,99 @@ router.get('/:id', async (req, res) => {
  *             properties:
  *               orderStatus:
  *                 type: string
- *                 enum: [PENDING, PROCESSING, SHIPPED, DELIVERED, CANCELLED]
+ *                 enum: [PROCESSING, SHIPPED, DELIVERED, CANCELLED]
+ *               trackingNumber:
+ *                 type: string
+ *                 description: >
+ *                   Tracking number, usually set when the order ships. Also stored on the
+ *                   fulfillment groups that changed status.
+ *               note:
+ *                 type: string
+ *                 description: Optional note stored in the status history
  *     responses:
  *       200:
  *         description: Order status updated successfully
+ *       400:
+ *         description: Invalid order status
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
  *       404:
  *         description: Order not found
+ *       409:
+ *         description: >
+ *           Status change not allowed from the order's current status, or, for an order
+ *           split between sellers, from the status of one of its fulfillment groups
  */
-router.patch('/:id/status', async (req, res) => {
+router.patch('/:id/status', auth, requirePermission('orders:update-status'), async (req, res) => {
   try {
-    const { orderStatus } = req.body;
+    const { orderStatus, trackingNumber, note } = req.body;
+
+    if (!Object.keys(Order.STATUS_TRANSITIONS).includes(orderStatus)) {
+      return res.status(400).json({
+        message: 'Order status must be one of: PENDING, PROCESSING, SHIPPED, DELIVERED, CANCELLED'
+      });
+    }
+
     const order = await Order.findById(req.params.id);
 
     if (!order) {
       return res.status(404).json({ message: 'Order not found' });
     }
 
-    order.orderStatus = orderStatus;
+    if (!order.canTransitionTo(orderStatus)) {
+      return res.status(409).json({
+        message: `Cannot change order status from ${order.orderStatus} to ${orderStatus}`,
+        currentStatus: order.orderStatus,
+        allowedStatuses: Order.STATUS_TRANSITIONS[order.orderStatus]
+      });
+    }
+
+    if (orderStatus === 'CANCELLED') {
+      if (!order.isCancellable()) {
+        return res.status(409).json({
+          message: 'Order cannot be cancelled because some items have already shipped',
+          currentStatus: order.orderStatus
+        });
+      }
+      await cancelOrder(order, req.user._id, note);
+      return res.json(order);
+    }
+
+    const previousStatus = order.orderStatus;
+    const previousGroupStatuses = new Map(order.fulfillments.map(group => [group.id, group.status]));
+    order.transitionTo(orderStatus, req.user._id, note);
+    // A split order only reaches the status once every group still active can move too
+    if (order.orderStatus !== orderStatus) {
+      return res.status(409).json({
+        message: `Not every fulfillment group can change to ${orderStatus}`,
+        currentStatus: previousStatus,
+        fulfillments: order.fulfillments.map(group => ({
+          _id: group._id,
+          seller: group.seller,
+          status: previousGroupStatuses.get(group.id)
+        }))
+      });
+    }
+    if (trackingNumber) {
+      order.trackingNumber = trackingNumber;
+      for (const group of order.fulfillments) {
+        if (group.status !== previousGroupStatuses.get(group.id)) {
+          group.trackingNumber = trackingNumber;
+        }
+      }
+    }
+
+    // Cash on delivery is collected when the order is handed over
     if (orderStatus === 'DELIVERED') {
-      order.deliveryDate = new Date();
+      await payments.settleCashOnDelivery(order);
     }
 
     await order.save();
     res.json(order);
   } catch (error) {
-    res.status(400).json({ message: error.message });
+    res.status(error.status || 400).json({ message: error.message });
   }
 });
 
@@ -226,8 +744,15 @@ router.patch('/:id/status', async (req, res) => {
  * @swagger
  * /api/orders/{id}/payment:
  *   patch:
- *     summary: Update payment status
+ *     summary: Update payment status (requires payments:manage)
+ *     description: >
+ *       Manual override for payments settled outside the payment providers. Card and UPI
+ *       payments are normally confirmed by the provider webhook, and cash on delivery is
+ *       settled when the order is marked DELIVERED. Manual changes are recorded as
+ *       payment attempts with the provider "manual".
  *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -235,6 +760,13 @@ router.patch('/:id/status', async (req, res) => {
  *         schema:
  *           type: string
  *         description: Order ID
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *         description: >
+ *           Optional client-generated key. Retrying with the same key replays the first
+ *           response; reusing it with a different body returns 422.
  *     requestBody:
  *       required: true
  *       content:
@@ -246,14 +778,22 @@ router.patch('/:id/status', async (req, res) => {
  *             properties:
  *               paymentStatus:
  *                 type: string
- *                 enum: [PENDING, PAID, FAILED]
+ *                 enum: [PENDING, PAID, FAILED, REFUND_PENDING, REFUNDED, PARTIALLY_REFUNDED]
  *     responses:
  *       200:
  *         description: Payment status updated successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
  *       404:
  *         description: Order not found
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed (keys left unfinished for IDEMPOTENCY_LOCK_TIMEOUT_SECONDS, default 60, can be retried)
+ *       422:
+ *         description: Idempotency-Key was already used for a different request
  */
-router.patch('/:id/payment', async (req, res) => {
+router.patch('/:id/payment', auth, requirePermission('payments:manage'), idempotency, async (req, res) => {
   try {
     const { paymentStatus } = req.body;
     const order = await Order.findById(req.params.id);
@@ -264,6 +804,7 @@ router.patch('/:id/payment', async (req, res) => {
 
     order.paymentStatus = paymentStatus;
     await order.save();
+    await payments.recordManualPayment(order, paymentStatus, req.user._id);
     res.json(order);
   } catch (error) {
     res.status(400).json({ message: error.message });
@@ -0,0 +1,135 @@
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/paymentController');
+const { auth } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Payment:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         order:
+ *           type: string
+ *           description: Reference to the Order being paid
+ *         user:
+ *           type: string
+ *         provider:
+ *           type: string
+ *           description: Payment provider that handled the attempt (e.g. fake, cod, manual)
+ *         method:
+ *           type: string
+ *           enum: [card, cash, upi]
+ *         reference:
+ *           type: string
+ *           description: Provider's payment intent identifier
+ *         amount:
+ *           type: number
+ *         currency:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [CREATED, SUCCEEDED, FAILED]
+ *         failureReason:
+ *           type: string
+ *         settledAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/payments/webhook/{provider}:
+ *   post:
+ *     summary: Receive a payment confirmation webhook from a provider
+ *     description: >
+ *       The request body must be signed by the provider; the fake provider, which is
+ *       not available in production, uses an HMAC-SHA256 of the raw body with
+ *       PAYMENT_WEBHOOK_SECRET in the X-Payment-Signature header. A succeeded payment
+ *       whose amount does not match the order total is recorded as FAILED, and one for
+ *       an order cancelled in the meantime leaves the order REFUND_PENDING. Seller groups
+ *       cancelled while the payment was pending are recorded as partial refunds.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Provider name, e.g. fake
+ *       - in: header
+ *         name: X-Payment-Signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [payment.succeeded, payment.failed]
+ *               data:
+ *                 type: object
+ *                 properties:
+ *                   reference:
+ *                     type: string
+ *                   amount:
+ *                     type: number
+ *                   failureReason:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: Webhook processed
+ *       400:
+ *         description: Invalid signature or payload
+ *       404:
+ *         description: Unknown provider or payment
+ */
+router.post('/webhook/:provider', paymentController.handleWebhook);
+
+/**
+ * @swagger
+ * /api/payments/order/{orderId}:
+ *   get:
+ *     summary: Get all payment attempts for an order
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Payment attempts, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 paymentStatus:
+ *                   type: string
+ *                 payments:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Payment'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not authorized to view payments for this order
+ *       404:
+ *         description: Order not found
+ */
+router.get('/order/:orderId', auth, paymentController.getOrderPayments);
+
+module.exports = router;
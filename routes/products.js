@@ -1,31 +1,385 @@
 const express = require('express');
 const Product = require('../models/Product');
-const { auth, isAdmin } = require('../middleware/auth');
+const { auth, requirePermission, requireAnyPermission } = require('../middleware/auth');
+const { getPermissions } = require('../services/permissions');
+const { buildFilters, getFacets } = require('../services/productFilters');
+const { listProducts, listNearby } = require('../services/productListing');
 
 const router = express.Router();
 
+// products:manage-any covers every product; products:manage-own only the ones the user listed
+const canManageProduct = async (user, product) => {
+  const permissions = await getPermissions(user);
+  if (permissions.has('products:manage-any')) {
+    return true;
+  }
+  return permissions.has('products:manage-own') && product.seller.toString() === user._id.toString();
+};
+
+// Guard for the product management routes, which then check the product with canManageProduct
+const requireProductManager = requireAnyPermission('products:manage-own', 'products:manage-any');
+
+// Fields a product's manager may change with PATCH. Stock goes through the
+// stock endpoint so it is recorded in quantityHistory; ratings, reviews and
+// sales figures are derived and never set directly.
+const EDITABLE_FIELDS = [
+  'name', 'description', 'price', 'category', 'unit', 'minOrderQuantity', 'maxOrderQuantity',
+  'images', 'farmLocation', 'farmCoordinates', 'organic', 'harvestDate', 'expiryDate'
+];
+
+// Stock changes a seller can make by hand. Sales and returns are recorded by
+// orders and return requests, since they also move unitsSold.
+const MANUAL_STOCK_CHANGES = ['added', 'removed'];
+
+// Fields accepted when listing a product: the editable ones plus the opening stock
+const CREATABLE_FIELDS = [...EDITABLE_FIELDS, 'stock'];
+
+// Farm coordinates are always a GeoJSON point, so the type may be left out
+const withPointType = (farmCoordinates) => (
+  farmCoordinates && typeof farmCoordinates === 'object' && !Array.isArray(farmCoordinates)
+    ? { type: 'Point', ...farmCoordinates }
+    : farmCoordinates
+);
+
+// Load the product for a management route and check the caller may change it
+const loadManagedProduct = async (req, res) => {
+  const product = await Product.findById(req.params.id);
+  if (!product) {
+    res.status(404).json({ message: 'Product not found' });
+    return null;
+  }
+  if (!(await canManageProduct(req.user, product))) {
+    res.status(403).json({ message: 'Not authorized to manage this product' });
+    return null;
+  }
+  return product;
+};
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     ProductPage:
+ *       in: query
+ *       name: page
+ *       schema:
+ *         type: integer
+ *         default: 1
+ *       description: Page number for pagination. Ignored when a cursor is given.
+ *     ProductLimit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         default: 20
+ *         maximum: 100
+ *       description: Number of products per page
+ *     ProductCursor:
+ *       in: query
+ *       name: cursor
+ *       schema:
+ *         type: string
+ *       description: >
+ *         The nextCursor of the previous page, for infinite scroll. Must be used with
+ *         the same sort and filters as the request that returned it.
+ *     ProductFields:
+ *       in: query
+ *       name: fields
+ *       schema:
+ *         type: string
+ *       description: >
+ *         Comma-separated product fields to return, e.g. name,price,images. By default
+ *         every field except reviews and quantityHistory is returned.
+ *     ProductSort:
+ *       in: query
+ *       name: sort
+ *       schema:
+ *         type: string
+ *         enum: [relevance, newest, price_asc, price_desc, rating, popularity, name]
+ *       description: >
+ *         Sort order. Defaults to relevance when searching and newest otherwise.
+ *         Popularity is units sold, net of returns.
+ *   schemas:
+ *     ProductPagination:
+ *       type: object
+ *       properties:
+ *         page:
+ *           type: integer
+ *           description: Only when paging by number
+ *         pages:
+ *           type: integer
+ *           description: Only when paging by number
+ *         limit:
+ *           type: integer
+ *         total:
+ *           type: integer
+ *         hasMore:
+ *           type: boolean
+ *         nextCursor:
+ *           type: string
+ *           nullable: true
+ *           description: Pass as cursor to get the next page
+ */
+
+const NEARBY_DEFAULT_RADIUS_KM = 25;
+const NEARBY_MAX_RADIUS_KM = 500;
+
+// Signing in is only needed to search near one of the user's saved addresses
+const authForSavedAddress = (req, res, next) => (req.query.near ? auth(req, res, next) : next());
+
+// [longitude, latitude] to search around: explicit lat/lng, or a saved address
+// of the user (near=<addressId>, or near=default for their default address)
+const getNearbyOrigin = (req) => {
+  const { lat, lng, near } = req.query;
+  if (near) {
+    const address = near === 'default'
+      ? req.user.addresses.find(entry => entry.isDefault)
+      : req.user.addresses.find(entry => entry._id.toString() === near);
+    if (!address) {
+      throw Object.assign(new Error(near === 'default' ? 'No default address saved' : 'Address not found'), { status: 404 });
+    }
+    return [address.longitude, address.latitude];
+  }
+
+  const latitude = Number(lat);
+  const longitude = Number(lng);
+  if (lat === undefined || lng === undefined || lat === '' || lng === '' ||
+      isNaN(latitude) || isNaN(longitude) ||
+      latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+    throw Object.assign(new Error('Valid lat and lng, or near, are required'), { status: 400 });
+  }
+  return [longitude, latitude];
+};
+
 /**
  * @swagger
  * /api/products/all:
  *   get:
- *     summary: Get all products without any filters
+ *     summary: Get all products without any filters, a page at a time
  *     tags: [Products]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ProductPage'
+ *       - $ref: '#/components/parameters/ProductLimit'
+ *       - $ref: '#/components/parameters/ProductCursor'
+ *       - $ref: '#/components/parameters/ProductFields'
+ *       - $ref: '#/components/parameters/ProductSort'
  *     responses:
  *       200:
- *         description: List of all products
+ *         description: A page of products
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Product'
+ *               type: object
+ *               properties:
+ *                 products:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Product'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/ProductPagination'
+ *       400:
+ *         description: Invalid cursor, field or sort
  */
 router.get('/all', async (req, res) => {
   try {
-    const products = await Product.find();
-    res.json(products);
+    res.json(await listProducts(req.query));
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     ProductCategoryFilter:
+ *       in: query
+ *       name: category
+ *       schema:
+ *         type: string
+ *       description: Filter by category. Separate several with commas.
+ *     ProductUnitFilter:
+ *       in: query
+ *       name: unit
+ *       schema:
+ *         type: string
+ *       description: Filter by unit. Separate several with commas.
+ *     ProductFarmLocationFilter:
+ *       in: query
+ *       name: farmLocation
+ *       schema:
+ *         type: string
+ *       description: Filter by farm location. Separate several with commas.
+ *     ProductOrganicFilter:
+ *       in: query
+ *       name: organic
+ *       schema:
+ *         type: boolean
+ *       description: Only organic (true) or only non-organic (false) products
+ *     ProductInStockFilter:
+ *       in: query
+ *       name: inStock
+ *       schema:
+ *         type: boolean
+ *       description: Only products with stock left
+ *     ProductMinRatingFilter:
+ *       in: query
+ *       name: minRating
+ *       schema:
+ *         type: number
+ *         minimum: 0
+ *         maximum: 5
+ *       description: Minimum average rating
+ *     ProductMinPriceFilter:
+ *       in: query
+ *       name: minPrice
+ *       schema:
+ *         type: number
+ *       description: Minimum price filter
+ *     ProductMaxPriceFilter:
+ *       in: query
+ *       name: maxPrice
+ *       schema:
+ *         type: number
+ *       description: Maximum price filter
+ *     ProductSellerFilter:
+ *       in: query
+ *       name: seller
+ *       schema:
+ *         type: string
+ *       description: Filter by seller user ID
+ *     ProductHarvestedAfterFilter:
+ *       in: query
+ *       name: harvestedAfter
+ *       schema:
+ *         type: string
+ *         format: date
+ *       description: Only products harvested on or after this date
+ *     ProductHarvestedBeforeFilter:
+ *       in: query
+ *       name: harvestedBefore
+ *       schema:
+ *         type: string
+ *         format: date
+ *       description: Only products harvested on or before this date
+ *     ProductSearch:
+ *       in: query
+ *       name: search
+ *       schema:
+ *         type: string
+ *       description: >
+ *         Search terms matched against name, description, category and farm location.
+ *         Matching tolerates plurals, prefixes and small typos ("tomatos", "tom") and
+ *         knows common synonyms ("brinjal" finds "eggplant"). Products matching every
+ *         term are returned; if there are none, products matching any term are. Only
+ *         the first 200 characters and 10 terms of the search are used.
+ */
+
+/**
+ * @swagger
+ * /api/products/facets:
+ *   get:
+ *     summary: Get facet counts for the product listing
+ *     description: >
+ *       Takes the same filters as the product listing. Each facet is counted with every
+ *       active filter applied except its own, so selecting a category still shows how
+ *       many products each other category has. Rating counts are cumulative ("4 and up")
+ *       and the last price range has no upper bound.
+ *     tags: [Products]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ProductCategoryFilter'
+ *       - $ref: '#/components/parameters/ProductUnitFilter'
+ *       - $ref: '#/components/parameters/ProductFarmLocationFilter'
+ *       - $ref: '#/components/parameters/ProductOrganicFilter'
+ *       - $ref: '#/components/parameters/ProductInStockFilter'
+ *       - $ref: '#/components/parameters/ProductMinRatingFilter'
+ *       - $ref: '#/components/parameters/ProductMinPriceFilter'
+ *       - $ref: '#/components/parameters/ProductMaxPriceFilter'
+ *       - $ref: '#/components/parameters/ProductSellerFilter'
+ *       - $ref: '#/components/parameters/ProductHarvestedAfterFilter'
+ *       - $ref: '#/components/parameters/ProductHarvestedBeforeFilter'
+ *       - $ref: '#/components/parameters/ProductSearch'
+ *     responses:
+ *       200:
+ *         description: Facet counts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                   description: Number of products matching every active filter
+ *                 facets:
+ *                   type: object
+ *                   properties:
+ *                     category:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           value:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *                     unit:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           value:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *                     organic:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           value:
+ *                             type: boolean
+ *                           count:
+ *                             type: integer
+ *                     farmLocation:
+ *                       type: array
+ *                       description: The 50 most common farm locations
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           value:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *                     rating:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           min:
+ *                             type: number
+ *                           count:
+ *                             type: integer
+ *                     price:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           min:
+ *                             type: number
+ *                           max:
+ *                             type: number
+ *                             nullable: true
+ *                           count:
+ *                             type: integer
+ *       400:
+ *         description: Invalid filter value
+ */
+router.get('/facets', async (req, res) => {
+  try {
+    const { filters } = await buildFilters(req.query);
+    res.json(await getFacets(filters));
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
   }
 });
 
@@ -36,81 +390,164 @@ router.get('/all', async (req, res) => {
  *     summary: Get all products with filters
  *     tags: [Products]
  *     parameters:
+ *       - $ref: '#/components/parameters/ProductCategoryFilter'
+ *       - $ref: '#/components/parameters/ProductUnitFilter'
+ *       - $ref: '#/components/parameters/ProductFarmLocationFilter'
+ *       - $ref: '#/components/parameters/ProductOrganicFilter'
+ *       - $ref: '#/components/parameters/ProductInStockFilter'
+ *       - $ref: '#/components/parameters/ProductMinRatingFilter'
+ *       - $ref: '#/components/parameters/ProductMinPriceFilter'
+ *       - $ref: '#/components/parameters/ProductMaxPriceFilter'
+ *       - $ref: '#/components/parameters/ProductSellerFilter'
+ *       - $ref: '#/components/parameters/ProductHarvestedAfterFilter'
+ *       - $ref: '#/components/parameters/ProductHarvestedBeforeFilter'
+ *       - $ref: '#/components/parameters/ProductSearch'
+ *       - $ref: '#/components/parameters/ProductSort'
+ *       - $ref: '#/components/parameters/ProductPage'
+ *       - $ref: '#/components/parameters/ProductLimit'
+ *       - $ref: '#/components/parameters/ProductCursor'
+ *       - $ref: '#/components/parameters/ProductFields'
+ *     responses:
+ *       200:
+ *         description: >
+ *           A page of products. When searching, each product also has a relevance `score`
+ *           and `highlights` with the matching fields, matched words wrapped in `<mark>`
+ *           tags and long text cut down to a snippet.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 products:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Product'
+ *                       - type: object
+ *                         properties:
+ *                           score:
+ *                             type: number
+ *                           highlights:
+ *                             type: object
+ *                             properties:
+ *                               name:
+ *                                 type: string
+ *                               description:
+ *                                 type: string
+ *                               category:
+ *                                 type: string
+ *                               farmLocation:
+ *                                 type: string
+ *                 pagination:
+ *                   $ref: '#/components/schemas/ProductPagination'
+ *       400:
+ *         description: Invalid filter value, cursor, field or sort
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { filters, matches } = await buildFilters(req.query);
+    res.json(await listProducts(req.query, filters, matches));
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/nearby:
+ *   get:
+ *     summary: Get products from farms near a location, nearest first
+ *     description: >
+ *       Searches around lat/lng, or around one of the signed-in user's saved addresses
+ *       with near. Only products with farm coordinates are included. Sellers set these
+ *       with farmCoordinates when listing or editing a product; products listed without
+ *       them get the seller's default address, and existing products are given it on
+ *       startup. Takes the same filters as the product listing, and each product has
+ *       its distance from the location in km.
+ *     tags: [Products]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
  *       - in: query
- *         name: category
- *         schema:
- *           type: string
- *         description: Filter by category
- *       - in: query
- *         name: minPrice
+ *         name: lat
  *         schema:
  *           type: number
- *         description: Minimum price filter
+ *         description: Latitude to search around. Required unless near is given.
  *       - in: query
- *         name: maxPrice
+ *         name: lng
  *         schema:
  *           type: number
- *         description: Maximum price filter
+ *         description: Longitude to search around. Required unless near is given.
  *       - in: query
- *         name: search
+ *         name: near
  *         schema:
  *           type: string
- *         description: Search term for name and description
+ *         description: >
+ *           ID of one of the user's saved addresses, or "default" for their default
+ *           address. Requires authentication.
  *       - in: query
- *         name: sort
+ *         name: radiusKm
  *         schema:
- *           type: string
- *           enum: [price_asc, price_desc, newest]
- *         description: Sort products by price or date
+ *           type: number
+ *           default: 25
+ *           maximum: 500
+ *         description: Search radius in km
+ *       - $ref: '#/components/parameters/ProductCategoryFilter'
+ *       - $ref: '#/components/parameters/ProductUnitFilter'
+ *       - $ref: '#/components/parameters/ProductFarmLocationFilter'
+ *       - $ref: '#/components/parameters/ProductOrganicFilter'
+ *       - $ref: '#/components/parameters/ProductInStockFilter'
+ *       - $ref: '#/components/parameters/ProductMinRatingFilter'
+ *       - $ref: '#/components/parameters/ProductMinPriceFilter'
+ *       - $ref: '#/components/parameters/ProductMaxPriceFilter'
+ *       - $ref: '#/components/parameters/ProductSellerFilter'
+ *       - $ref: '#/components/parameters/ProductHarvestedAfterFilter'
+ *       - $ref: '#/components/parameters/ProductHarvestedBeforeFilter'
+ *       - $ref: '#/components/parameters/ProductSearch'
+ *       - $ref: '#/components/parameters/ProductPage'
+ *       - $ref: '#/components/parameters/ProductLimit'
+ *       - $ref: '#/components/parameters/ProductCursor'
+ *       - $ref: '#/components/parameters/ProductFields'
  *     responses:
  *       200:
- *         description: List of products
+ *         description: A page of nearby products
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Product'
+ *               type: object
+ *               properties:
+ *                 products:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Product'
+ *                       - type: object
+ *                         properties:
+ *                           distanceKm:
+ *                             type: number
+ *                             description: Distance from the location to the farm
+ *                 pagination:
+ *                   $ref: '#/components/schemas/ProductPagination'
+ *       400:
+ *         description: Missing or invalid location, radius or filter value
+ *       401:
+ *         description: near was given without authentication
+ *       404:
+ *         description: Saved address not found
  */
-router.get('/', async (req, res) => {
+router.get('/nearby', authForSavedAddress, async (req, res) => {
   try {
-    const { category, minPrice, maxPrice, search, sort } = req.query;
-    const query = {};
-
-    if (category) query.category = category;
-    if (minPrice || maxPrice) {
-      query.price = {};
-      if (minPrice) query.price.$gte = Number(minPrice);
-      if (maxPrice) query.price.$lte = Number(maxPrice);
-    }
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
+    const origin = getNearbyOrigin(req);
+    const radiusKm = req.query.radiusKm === undefined ? NEARBY_DEFAULT_RADIUS_KM : Number(req.query.radiusKm);
+    if (isNaN(radiusKm) || radiusKm <= 0 || radiusKm > NEARBY_MAX_RADIUS_KM) {
+      return res.status(400).json({ message: `radiusKm must be between 0 and ${NEARBY_MAX_RADIUS_KM}` });
     }
 
-    let sortOption = {};
-    if (sort) {
-      switch (sort) {
-        case 'price_asc':
-          sortOption = { price: 1 };
-          break;
-        case 'price_desc':
-          sortOption = { price: -1 };
-          break;
-        case 'newest':
-          sortOption = { createdAt: -1 };
-          break;
-        default:
-          sortOption = { createdAt: -1 };
-      }
-    }
-
-    const products = await Product.find(query).sort(sortOption);
-    res.json(products);
+    const { filters, matches } = await buildFilters(req.query);
+    res.json(await listNearby(req.query, filters, matches, origin, radiusKm));
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res.status(error.status || 500).json({ message: error.message });
   }
 });
 
@@ -153,7 +590,10 @@ router.get('/:id', async (req, res) => {
  * @swagger
  * /api/products:
  *   post:
- *     summary: Create a new product (Admin only)
+ *     summary: Create a new product (requires products:create)
+ *     description: >
+ *       Only the fields below are accepted; anything else in the body, such as ratings,
+ *       reviews or stock history, is ignored.
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
@@ -194,6 +634,33 @@ router.get('/:id', async (req, res) => {
  *                 type: array
  *                 items:
  *                   type: string
+ *               farmLocation:
+ *                 type: string
+ *               farmCoordinates:
+ *                 type: object
+ *                 description: >
+ *                   GeoJSON point of the farm, so the product shows up in nearby searches.
+ *                   Defaults to the seller's default address. The type may be left out.
+ *                 properties:
+ *                   type:
+ *                     type: string
+ *                     enum: [Point]
+ *                   coordinates:
+ *                     type: array
+ *                     items:
+ *                       type: number
+ *                     description: "[longitude, latitude]"
+ *               organic:
+ *                 type: boolean
+ *               harvestDate:
+ *                 type: string
+ *                 format: date
+ *               expiryDate:
+ *                 type: string
+ *                 format: date
+ *               seller:
+ *                 type: string
+ *                 description: Admin only. Sellers always list products under their own account.
  *     responses:
  *       201:
  *         description: Product created successfully
@@ -202,11 +669,21 @@ router.get('/:id', async (req, res) => {
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Admin access required
+ *         description: Forbidden - requires the products:create permission
  */
-router.post('/', auth, isAdmin, async (req, res) => {
+router.post('/', auth, requirePermission('products:create'), async (req, res) => {
   try {
-    const product = new Product(req.body);
+    const canAssignSeller = (await getPermissions(req.user)).has('products:manage-any');
+    // Sellers always own what they list; products:manage-any may list on behalf of a seller
+    const seller = canAssignSeller && req.body.seller ? req.body.seller : req.user._id;
+    const farmCoordinates = req.body.farmCoordinates === undefined
+      ? await Product.defaultFarmCoordinates(seller)
+      : withPointType(req.body.farmCoordinates);
+    const fields = {};
+    for (const field of CREATABLE_FIELDS) {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    }
+    const product = new Product({ ...fields, seller, farmCoordinates });
     await product.save();
     res.status(201).json(product);
   } catch (error) {
@@ -218,10 +695,15 @@ router.post('/', auth, isAdmin, async (req, res) => {
  * @swagger
  * /api/products/{id}:
  *   patch:
- *     summary: Update a product (Admin only)
+ *     summary: Update a product (own product, or any with products:manage-any)
+ *     description: >
+ *       Only the fields below can be changed; anything else in the body is ignored.
+ *       Stock is changed with PATCH /api/products/{id}/stock so it is recorded in the
+ *       stock history.
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -244,8 +726,6 @@ router.post('/', auth, isAdmin, async (req, res) => {
  *                 type: number
  *               category:
  *                 type: string
- *               stock:
- *                 type: number
  *               unit:
  *                 type: string
  *                 enum: [kg, g, l, ml, piece, dozen, box]
@@ -257,6 +737,30 @@ router.post('/', auth, isAdmin, async (req, res) => {
  *                 type: array
  *                 items:
  *                   type: string
+ *               farmLocation:
+ *                 type: string
+ *               farmCoordinates:
+ *                 type: object
+ *                 description: GeoJSON point of the farm, [longitude, latitude]. The type may be left out.
+ *                 properties:
+ *                   type:
+ *                     type: string
+ *                     enum: [Point]
+ *                   coordinates:
+ *                     type: array
+ *                     items:
+ *                       type: number
+ *               organic:
+ *                 type: boolean
+ *               harvestDate:
+ *                 type: string
+ *                 format: date
+ *               expiryDate:
+ *                 type: string
+ *                 format: date
+ *               seller:
+ *                 type: string
+ *                 description: Requires products:manage-any
  *     responses:
  *       200:
  *         description: Product updated successfully
@@ -265,16 +769,31 @@ router.post('/', auth, isAdmin, async (req, res) => {
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Admin access required
+ *         description: Forbidden - requires products:manage-any, or products:manage-own for the user's own products
  *       404:
  *         description: Product not found
  */
-router.patch('/:id', auth, isAdmin, async (req, res) => {
+router.patch('/:id', auth, requireProductManager, async (req, res) => {
   try {
+    const existing = await loadManagedProduct(req, res);
+    if (!existing) return;
+
+    const updates = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+    if (updates.farmCoordinates !== undefined) {
+      updates.farmCoordinates = withPointType(updates.farmCoordinates);
+    }
+    // Only products:manage-any can move a product to another seller
+    if (req.body.seller !== undefined && (await getPermissions(req.user)).has('products:manage-any')) {
+      updates.seller = req.body.seller;
+    }
+
     const product = await Product.findByIdAndUpdate(
       req.params.id,
-      req.body,
-      { new: true }
+      { $set: updates },
+      { new: true, runValidators: true }
     );
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
@@ -289,10 +808,11 @@ router.patch('/:id', auth, isAdmin, async (req, res) => {
  * @swagger
  * /api/products/{id}/stock:
  *   patch:
- *     summary: Update product stock (Admin only)
+ *     summary: Update product stock (own product, or any with products:manage-any)
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -315,8 +835,8 @@ router.patch('/:id', auth, isAdmin, async (req, res) => {
  *                 description: Amount to add or remove
  *               type:
  *                 type: string
- *                 enum: [added, removed, sold, returned]
- *                 description: Type of stock change
+ *                 enum: [added, removed]
+ *                 description: Type of stock change. Sales and returns are recorded by orders and return requests.
  *               reason:
  *                 type: string
  *                 description: Reason for stock change
@@ -328,18 +848,18 @@ router.patch('/:id', auth, isAdmin, async (req, res) => {
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Admin access required
+ *         description: Forbidden - requires products:manage-any, or products:manage-own for the user's own products
  *       404:
  *         description: Product not found
  */
-router.patch('/:id/stock', auth, isAdmin, async (req, res) => {
+router.patch('/:id/stock', auth, requireProductManager, async (req, res) => {
   try {
     const { quantity, type, reason } = req.body;
-    const product = await Product.findById(req.params.id);
-
-    if (!product) {
-      return res.status(404).json({ message: 'Product not found' });
+    if (!MANUAL_STOCK_CHANGES.includes(type)) {
+      return res.status(400).json({ message: `Type must be one of: ${MANUAL_STOCK_CHANGES.join(', ')}` });
     }
+    const product = await loadManagedProduct(req, res);
+    if (!product) return;
 
     await product.updateStock(quantity, type, reason);
     res.json(product);
@@ -411,7 +931,7 @@ router.post('/:id/check-availability', async (req, res) => {
  * @swagger
  * /api/products/{id}:
  *   delete:
- *     summary: Delete a product (Admin only)
+ *     summary: Delete a product (own product, or any with products:manage-any)
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
@@ -428,16 +948,16 @@ router.post('/:id/check-availability', async (req, res) => {
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Admin access required
+ *         description: Forbidden - requires products:manage-any, or products:manage-own for the user's own products
  *       404:
  *         description: Product not found
  */
-router.delete('/:id', auth, isAdmin, async (req, res) => {
+router.delete('/:id', auth, requireProductManager, async (req, res) => {
   try {
-    const product = await Product.findByIdAndDelete(req.params.id);
-    if (!product) {
-      return res.status(404).json({ message: 'Product not found' });
-    }
+    const product = await loadManagedProduct(req, res);
+    if (!product) return;
+
+    await product.deleteOne();
     res.json({ message: 'Product deleted successfully' });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -1,8 +1,14 @@
 // All profile-related APIs and Swagger docs removed.
 
 const express = require('express');
+const bcrypt = require('bcryptjs');
 const User = require('../models/User');
-const { auth } = require('../middleware/auth');
+const { auth, requireSession } = require('../middleware/auth');
+const { revokeUserSessions } = require('../services/sessions');
+const { sendVerificationCode, confirmLoginCode } = require('../services/verification');
+const { sendMail } = require('../services/mailer');
+const { sendSms } = require('../services/sms');
+const accountData = require('../services/accountData');
 
 const router = express.Router();
 
@@ -73,7 +79,7 @@ router.get('/:_id', auth, async (req, res) => {
  *                 type: string
  *     responses:
  *       200:
- *         description: Profile updated successfully
+ *         description: Profile updated successfully. Changing the email or phone marks it unverified and sends a new code.
  *       401:
  *         description: Unauthorized
  *       404:
@@ -81,7 +87,7 @@ router.get('/:_id', auth, async (req, res) => {
  *       400:
  *         description: Invalid input data
  */
-router.put('/:_id', auth, async (req, res) => {
+router.put('/:_id', auth, requireSession, async (req, res) => {
   try {
     // Check if user exists
     const user = await User.findById(req.params._id);
@@ -117,6 +123,10 @@ router.put('/:_id', auth, async (req, res) => {
         return res.status(400).json({ message: 'Email already in use' });
       }
       updates.email = email.toLowerCase().trim();
+      // A new email has to be verified again
+      if (updates.email !== user.email) {
+        updates.emailVerified = false;
+      }
     }
 
     // Validate and update phone
@@ -125,7 +135,11 @@ router.put('/:_id', auth, async (req, res) => {
       if (!phoneRegex.test(phone)) {
         return res.status(400).json({ message: 'Invalid phone number format' });
       }
-      updates.phone = phone.trim();
+      updates.phone = User.normalizePhone(phone.trim());
+      // A new phone number has to be verified again
+      if (updates.phone !== user.phone) {
+        updates.phoneVerified = false;
+      }
     }
 
     // Update profile picture
@@ -149,6 +163,16 @@ router.put('/:_id', auth, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    // Send codes for changed contacts; the update stands even if delivery fails
+    for (const channel of ['email', 'phone']) {
+      if (updates[`${channel}Verified`] !== false) continue;
+      try {
+        await sendVerificationCode(updatedUser, channel);
+      } catch (error) {
+        console.error(`Error sending ${channel} verification code:`, error);
+      }
+    }
+
     res.json({
       message: 'Profile updated successfully',
       user: updatedUser
@@ -162,6 +186,86 @@ router.put('/:_id', auth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/profile/{_id}/password:
+ *   put:
+ *     summary: Change the user's password
+ *     description: Requires the current password. Every other session of the user is logged out.
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: _id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 description: Required unless the account has no password yet (phone sign-in only)
+ *               newPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *       400:
+ *         description: Invalid input or incorrect current password
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not authorized to update this profile
+ */
+router.put('/:_id/password', auth, requireSession, async (req, res) => {
+  try {
+    // Check if the authenticated user is updating their own profile
+    if (req.user._id.toString() !== req.params._id) {
+      return res.status(403).json({ message: 'Not authorized to update this profile' });
+    }
+
+    const user = req.user;
+    const { currentPassword, newPassword } = req.body;
+    // Accounts created by phone sign-in can set a first password without one
+    if ((user.password && !currentPassword) || !newPassword) {
+      return res.status(400).json({ message: 'Current password and new password are required' });
+    }
+    if (typeof newPassword !== 'string' || newPassword.length < 6) {
+      return res.status(400).json({ message: 'New password must be at least 6 characters long' });
+    }
+
+    if (user.password) {
+      const isMatch = await bcrypt.compare(String(currentPassword), user.password);
+      if (!isMatch) {
+        return res.status(400).json({ message: 'Current password is incorrect' });
+      }
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Keep this device signed in but log out everywhere else
+    await revokeUserSessions(user._id, 'password_change', req.authSession._id);
+
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    console.error('Password change error:', error);
+    res.status(500).json({ 
+      message: 'Error changing password',
+      error: error.message 
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/profile/{_id}/addresses:
@@ -364,4 +468,218 @@ router.delete('/:_id/addresses/:addressId', auth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/profile/{_id}/export:
+ *   get:
+ *     summary: Download a copy of all data stored about the user
+ *     description: >
+ *       Includes the profile, addresses, cart items, orders, reviews, messages and return
+ *       requests. `format=json` (default) returns a single JSON document; `format=zip`
+ *       returns a ZIP archive with one CSV file per kind of record.
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: _id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, zip]
+ *           default: json
+ *         description: Export format
+ *     responses:
+ *       200:
+ *         description: Data export as an attachment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Unknown format
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not authorized to export this profile
+ */
+router.get('/:_id/export', auth, requireSession, async (req, res) => {
+  try {
+    if (req.user._id.toString() !== req.params._id) {
+      return res.status(403).json({ message: 'Not authorized to export this profile' });
+    }
+    const format = req.query.format || 'json';
+    if (!['json', 'zip'].includes(format)) {
+      return res.status(400).json({ message: 'Format must be json or zip' });
+    }
+
+    const bundle = await accountData.buildExport(req.user._id);
+    const fileName = `farmbros-export-${req.user._id}-${bundle.exportedAt.toISOString().slice(0, 10)}`;
+
+    if (format === 'zip') {
+      res.set('Content-Type', 'application/zip');
+      res.set('Content-Disposition', `attachment; filename="${fileName}.zip"`);
+      return res.send(accountData.buildCsvZip(bundle));
+    }
+
+    res.set('Content-Disposition', `attachment; filename="${fileName}.json"`);
+    res.json(bundle);
+  } catch (error) {
+    console.error('Data export error:', error);
+    res.status(500).json({ message: 'Failed to export data' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/profile/{_id}:
+ *   delete:
+ *     summary: Request deletion of the user's account
+ *     description: >
+ *       The account is anonymized once the grace period (ACCOUNT_DELETION_GRACE_DAYS,
+ *       default 14) has passed, unless the deletion is cancelled first. Orders, reviews,
+ *       messages and returns are kept but point to an anonymous "Deleted user", with
+ *       message text, review comments and return reasons and photos removed; addresses,
+ *       cart, sessions, sign-in codes and contact details are removed.
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: _id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: >
+ *                   For accounts without a password: a sign-in code requested for the
+ *                   account's phone at /api/auth/phone/request-code
+ *     responses:
+ *       202:
+ *         description: Deletion scheduled
+ *       400:
+ *         description: Password or code is incorrect
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not authorized to delete this profile
+ *       409:
+ *         description: Deletion is already scheduled
+ */
+router.delete('/:_id', auth, requireSession, async (req, res) => {
+  try {
+    if (req.user._id.toString() !== req.params._id) {
+      return res.status(403).json({ message: 'Not authorized to delete this profile' });
+    }
+
+    const user = req.user;
+    const { password, code } = req.body;
+    if (user.password) {
+      if (!password || !(await bcrypt.compare(String(password), user.password))) {
+        return res.status(400).json({ message: 'Password is incorrect' });
+      }
+    } else {
+      // Phone-only accounts confirm with a fresh sign-in code instead
+      if (!code) {
+        return res.status(400).json({ message: 'A sign-in code sent to your phone is required' });
+      }
+      try {
+        await confirmLoginCode(user.phone, code);
+      } catch (error) {
+        return res.status(error.status || 500).json({ message: error.message });
+      }
+    }
+    if (user.deletionScheduledFor) {
+      return res.status(409).json({
+        message: 'Account deletion is already scheduled',
+        deletionScheduledFor: user.deletionScheduledFor
+      });
+    }
+
+    const deletionScheduledFor = await accountData.requestDeletion(user);
+
+    const notice = `We received a request to delete your account. It will be deleted on ${deletionScheduledFor.toDateString()}. ` +
+      'If you change your mind, sign in and cancel the deletion before then.';
+    if (user.email) {
+      await sendMail({
+        to: user.email,
+        subject: 'Your FarmBros account will be deleted',
+        text: `Hi ${user.name},\n\n${notice}`
+      });
+    } else if (user.phone) {
+      await sendSms({ to: user.phone, text: `FarmBros: ${notice}` });
+    }
+
+    res.status(202).json({
+      message: `Your account will be deleted in ${accountData.DELETION_GRACE_DAYS} days unless you cancel`,
+      deletionScheduledFor
+    });
+  } catch (error) {
+    console.error('Account deletion error:', error);
+    res.status(500).json({ message: 'Failed to schedule account deletion' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/profile/{_id}/deletion/cancel:
+ *   post:
+ *     summary: Cancel a pending account deletion
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: _id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *     responses:
+ *       200:
+ *         description: Deletion cancelled
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not authorized to update this profile
+ *       409:
+ *         description: No deletion is scheduled
+ */
+router.post('/:_id/deletion/cancel', auth, requireSession, async (req, res) => {
+  try {
+    if (req.user._id.toString() !== req.params._id) {
+      return res.status(403).json({ message: 'Not authorized to update this profile' });
+    }
+    if (!req.user.deletionScheduledFor) {
+      return res.status(409).json({ message: 'No account deletion is scheduled' });
+    }
+
+    await accountData.cancelDeletion(req.user);
+    res.json({ message: 'Account deletion cancelled' });
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({ message: 'Failed to cancel account deletion' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
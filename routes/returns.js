@@ -0,0 +1,319 @@
+const express = require('express');
+const router = express.Router();
+const returnController = require('../controllers/returnController');
+const { auth, requirePermission } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReturnRequest:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Unique return request identifier
+ *         order:
+ *           type: string
+ *           description: Reference to the Order the items were bought in
+ *         user:
+ *           type: string
+ *           description: Reference to the User who opened the request
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               orderItem:
+ *                 type: string
+ *                 description: ID of the line item within the order
+ *               product:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *               price:
+ *                 type: number
+ *                 description: Unit price the item was ordered at
+ *         reason:
+ *           type: string
+ *         photos:
+ *           type: array
+ *           items:
+ *             type: string
+ *         status:
+ *           type: string
+ *           enum: [REQUESTED, APPROVED, REJECTED]
+ *         refundAmount:
+ *           type: number
+ *           description: Amount refunded against the order once approved
+ *         reviewedBy:
+ *           type: string
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *         adminNote:
+ *           type: string
+ */
+
+// A. Buyer Endpoints
+
+/**
+ * @swagger
+ * /api/returns:
+ *   post:
+ *     summary: Open a return request on items of a delivered order
+ *     description: >
+ *       Items can only be returned within the return window for their product category,
+ *       counted from the delivery date. Perishable categories such as dairy and
+ *       vegetables have shorter windows.
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderId
+ *               - items
+ *               - reason
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - itemId
+ *                     - quantity
+ *                   properties:
+ *                     itemId:
+ *                       type: string
+ *                       description: ID of the line item within the order
+ *                     quantity:
+ *                       type: number
+ *               reason:
+ *                 type: string
+ *               photos:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Optional photo URLs
+ *     responses:
+ *       201:
+ *         description: Return request submitted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/ReturnRequest'
+ *       400:
+ *         description: Invalid input, quantity or return window closed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Order belongs to another user
+ *       404:
+ *         description: Order or order item not found
+ *       409:
+ *         description: Order has not been delivered, or the item belongs to a cancelled seller group
+ */
+router.post('/', auth, returnController.createReturnRequest);
+
+/**
+ * @swagger
+ * /api/returns/my-returns:
+ *   get:
+ *     summary: Get the authenticated user's return requests
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of return requests per page
+ *     responses:
+ *       200:
+ *         description: Return requests retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/my-returns', auth, returnController.getMyReturnRequests);
+
+// B. Admin Endpoints
+
+/**
+ * @swagger
+ * /api/returns/admin/all:
+ *   get:
+ *     summary: Get all return requests with filters (requires returns:manage)
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of return requests per page
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [REQUESTED, APPROVED, REJECTED]
+ *         description: Filter by status
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *         description: Filter by order ID
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: Filter by buyer user ID
+ *     responses:
+ *       200:
+ *         description: Return requests retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ */
+router.get('/admin/all', auth, requirePermission('returns:manage'), returnController.getAllReturnRequests);
+
+/**
+ * @swagger
+ * /api/returns/{id}/approve:
+ *   patch:
+ *     summary: Approve a return request (requires returns:manage)
+ *     description: >
+ *       Returns the items to stock and records a refund against the order. The payment
+ *       status of a paid order becomes REFUNDED or PARTIALLY_REFUNDED.
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Return request ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refundAmount:
+ *                 type: number
+ *                 description: Amount to refund. Defaults to the value of the returned items.
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return request approved
+ *       400:
+ *         description: Invalid refund amount
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Return request or order not found
+ *       409:
+ *         description: Return request was already reviewed
+ */
+router.patch('/:id/approve', auth, requirePermission('returns:manage'), returnController.approveReturnRequest);
+
+/**
+ * @swagger
+ * /api/returns/{id}/reject:
+ *   patch:
+ *     summary: Reject a return request (requires returns:manage)
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Return request ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return request rejected
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Return request not found
+ *       409:
+ *         description: Return request was already reviewed
+ */
+router.patch('/:id/reject', auth, requirePermission('returns:manage'), returnController.rejectReturnRequest);
+
+/**
+ * @swagger
+ * /api/returns/{id}:
+ *   get:
+ *     summary: Get a single return request
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Return request ID
+ *     responses:
+ *       200:
+ *         description: Return request details
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not authorized to view this return request
+ *       404:
+ *         description: Return request not found
+ */
+router.get('/:id', auth, returnController.getReturnRequest);
+
+module.exports = router;
@@ -0,0 +1,190 @@
+const express = require('express');
+const router = express.Router();
+const roleController = require('../controllers/roleController');
+const { auth, requirePermission } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Role:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Unique lowercase name, referenced by User.role
+ *         description:
+ *           type: string
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [messages:reply, messages:read-all]
+ *         builtIn:
+ *           type: boolean
+ *           description: Built-in roles (user, seller, support, admin) cannot be deleted
+ */
+
+/**
+ * @swagger
+ * /api/roles/permissions:
+ *   get:
+ *     summary: List every permission a role can grant (requires roles:manage)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permission names mapped to descriptions
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ */
+router.get('/permissions', auth, requirePermission('roles:manage'), roleController.getPermissionCatalog);
+
+/**
+ * @swagger
+ * /api/roles:
+ *   get:
+ *     summary: List roles and their permissions (requires roles:manage)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles with the number of users holding each
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ */
+router.get('/', auth, requirePermission('roles:manage'), roleController.getRoles);
+
+/**
+ * @swagger
+ * /api/roles:
+ *   post:
+ *     summary: Create a role (requires roles:manage)
+ *     description: The caller must hold every permission given to the role.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - permissions
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Role created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 role:
+ *                   $ref: '#/components/schemas/Role'
+ *       400:
+ *         description: Invalid name or unknown permission
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied, or the caller lacks some of the permissions
+ *       409:
+ *         description: A role with this name already exists
+ */
+router.post('/', auth, requirePermission('roles:manage'), roleController.createRole);
+
+/**
+ * @swagger
+ * /api/roles/{name}:
+ *   patch:
+ *     summary: Change a role's description or permissions (requires roles:manage)
+ *     description: >
+ *       The admin role always has every permission and cannot be changed. The caller
+ *       must hold every permission the role has now and every permission given to it.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Role name
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: Unknown permission, or the admin role
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied, or the caller lacks some of the role's permissions
+ *       404:
+ *         description: Role not found
+ */
+router.patch('/:name', auth, requirePermission('roles:manage'), roleController.updateRole);
+
+/**
+ * @swagger
+ * /api/roles/{name}:
+ *   delete:
+ *     summary: Delete a custom role (requires roles:manage)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Role name
+ *     responses:
+ *       200:
+ *         description: Role deleted
+ *       400:
+ *         description: Built-in roles cannot be deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Role not found
+ *       409:
+ *         description: Users still have this role
+ */
+router.delete('/:name', auth, requirePermission('roles:manage'), roleController.deleteRole);
+
+module.exports = router;
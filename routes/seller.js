@@ -0,0 +1,287 @@
+const express = require('express');
+const router = express.Router();
+const sellerController = require('../controllers/sellerController');
+const { auth, requirePermission } = require('../middleware/auth');
+
+// All figures are scoped to products whose seller is the authenticated user
+
+/**
+ * @swagger
+ * /api/seller/dashboard:
+ *   get:
+ *     summary: Get the seller's dashboard summary
+ *     description: Revenue, units sold, product counts, pending orders and average rating across the seller's products.
+ *     tags: [Seller]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: lowStockThreshold
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Stock level at or below which a product counts as low stock
+ *     responses:
+ *       200:
+ *         description: Dashboard summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sales:
+ *                   type: object
+ *                   properties:
+ *                     revenue:
+ *                       type: number
+ *                     unitsSold:
+ *                       type: number
+ *                     orderCount:
+ *                       type: integer
+ *                 products:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     lowStock:
+ *                       type: integer
+ *                 pendingOrders:
+ *                   type: integer
+ *                 rating:
+ *                   type: object
+ *                   properties:
+ *                     average:
+ *                       type: number
+ *                     reviewCount:
+ *                       type: integer
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ */
+router.get('/dashboard', auth, requirePermission('seller:dashboard'), sellerController.getSummary);
+
+/**
+ * @swagger
+ * /api/seller/dashboard/revenue:
+ *   get:
+ *     summary: Get the seller's revenue by day or week
+ *     tags: [Seller]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [day, week]
+ *           default: day
+ *         description: Group revenue by calendar day or ISO week
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start of the range (defaults to 30 days ago)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End of the range (defaults to now)
+ *     responses:
+ *       200:
+ *         description: Revenue, units sold and order count per period
+ *       400:
+ *         description: Invalid period
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ */
+router.get('/dashboard/revenue', auth, requirePermission('seller:dashboard'), sellerController.getRevenue);
+
+/**
+ * @swagger
+ * /api/seller/dashboard/products:
+ *   get:
+ *     summary: Get units sold and revenue per product
+ *     description: Units sold and returned come from each product's quantity history; revenue from non-cancelled orders.
+ *     tags: [Seller]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sales per product, best sellers first
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ */
+router.get('/dashboard/products', auth, requirePermission('seller:dashboard'), sellerController.getProductSales);
+
+/**
+ * @swagger
+ * /api/seller/dashboard/inventory:
+ *   get:
+ *     summary: Get the seller's low-stock and soon-to-expire products
+ *     tags: [Seller]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: lowStockThreshold
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Stock level at or below which a product counts as low stock
+ *       - in: query
+ *         name: expiringWithinDays
+ *         schema:
+ *           type: integer
+ *           default: 7
+ *         description: Products whose expiryDate falls within this many days
+ *     responses:
+ *       200:
+ *         description: Low-stock, expiring and expired products
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ */
+router.get('/dashboard/inventory', auth, requirePermission('seller:dashboard'), sellerController.getInventory);
+
+/**
+ * @swagger
+ * /api/seller/dashboard/pending-orders:
+ *   get:
+ *     summary: Get pending orders containing the seller's products
+ *     description: >
+ *       Orders whose fulfillment group for the seller is pending or processing. Only the
+ *       seller's own line items are included in each order, with the group's status as
+ *       fulfillmentStatus.
+ *     tags: [Seller]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of orders per page
+ *     responses:
+ *       200:
+ *         description: Pending and processing orders, oldest first
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ */
+router.get('/dashboard/pending-orders', auth, requirePermission('seller:dashboard'), sellerController.getPendingOrders);
+
+/**
+ * @swagger
+ * /api/seller/fulfillments:
+ *   get:
+ *     summary: Get the seller's fulfillment groups
+ *     description: >
+ *       Orders containing products from several sellers are split into one fulfillment
+ *       group per seller. Only the seller's own groups and line items are returned.
+ *     tags: [Seller]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, PROCESSING, SHIPPED, DELIVERED, CANCELLED]
+ *         description: Filter by fulfillment status
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of orders per page
+ *     responses:
+ *       200:
+ *         description: Fulfillment groups, newest orders first
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ */
+router.get('/fulfillments', auth, requirePermission('orders:fulfill'), sellerController.getMyFulfillments);
+
+/**
+ * @swagger
+ * /api/seller/fulfillments/{orderId}/{fulfillmentId}/status:
+ *   patch:
+ *     summary: Update the status of one of the seller's fulfillment groups
+ *     description: >
+ *       Groups follow the same PENDING -> PROCESSING -> SHIPPED -> DELIVERED flow as orders
+ *       and can only be cancelled before they ship. The order status is derived from its
+ *       groups. Cancelling a group returns its items to stock and, if the order was paid,
+ *       records a refund of that group's items.
+ *     tags: [Seller]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *       - in: path
+ *         name: fulfillmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Fulfillment group ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [PROCESSING, SHIPPED, DELIVERED, CANCELLED]
+ *               trackingNumber:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Fulfillment status updated
+ *       400:
+ *         description: Invalid status
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Fulfillment belongs to another seller
+ *       404:
+ *         description: Order or fulfillment not found
+ *       409:
+ *         description: Status change not allowed from the group's current status
+ */
+router.patch('/fulfillments/:orderId/:fulfillmentId/status', auth, requirePermission('orders:fulfill'), sellerController.updateFulfillmentStatus);
+
+module.exports = router;
@@ -0,0 +1,328 @@
+const express = require('express');
+const router = express.Router();
+const userController = require('../controllers/userController');
+const { auth, requirePermission } = require('../middleware/auth');
+
+// Admin-only user management
+
+/**
+ * @swagger
+ * /api/users:
+ *   get:
+ *     summary: List users with filters (requires users:manage)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of users per page
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *         description: Filter by role
+ *       - in: query
+ *         name: disabled
+ *         schema:
+ *           type: boolean
+ *         description: Filter by disabled status
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *         description: Find a user by exact email
+ *     responses:
+ *       200:
+ *         description: Users retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ */
+router.get('/', auth, requirePermission('users:manage'), userController.getUsers);
+
+/**
+ * @swagger
+ * /api/users/audit-log:
+ *   get:
+ *     summary: Get security audit entries such as lockouts and unlocks (requires audit:read)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of entries per page
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           example: auth.lockout
+ *         description: Filter by action
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: Filter by user ID
+ *       - in: query
+ *         name: ip
+ *         schema:
+ *           type: string
+ *         description: Filter by IP address
+ *     responses:
+ *       200:
+ *         description: Audit entries retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ */
+router.get('/audit-log', auth, requirePermission('audit:read'), userController.getAuditLog);
+
+/**
+ * @swagger
+ * /api/users/unlock-ip:
+ *   post:
+ *     summary: Lift failed-attempt lockouts on an IP address (requires users:manage)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ip
+ *             properties:
+ *               ip:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: IP address unlocked
+ *       400:
+ *         description: IP address is required
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ */
+router.post('/unlock-ip', auth, requirePermission('users:manage'), userController.unlockIpAddress);
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   get:
+ *     summary: Get a user by ID (requires users:manage)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *     responses:
+ *       200:
+ *         description: User details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id', auth, requirePermission('users:manage'), userController.getUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/role:
+ *   patch:
+ *     summary: Change a user's role (requires users:manage)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 description: Name of an existing role
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: Unknown role, or caller changing their own role
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied, or the caller lacks some permissions of the current or new role
+ *       404:
+ *         description: User not found
+ */
+router.patch('/:id/role', auth, requirePermission('users:manage'), userController.updateUserRole);
+
+/**
+ * @swagger
+ * /api/users/{id}/disable:
+ *   patch:
+ *     summary: Disable a user account (requires users:manage)
+ *     description: The user can no longer log in and every active session is revoked.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: User disabled
+ *       400:
+ *         description: Admin disabling their own account
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied, or the caller lacks some permissions of the user's role
+ *       404:
+ *         description: User not found
+ */
+router.patch('/:id/disable', auth, requirePermission('users:manage'), userController.disableUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/enable:
+ *   patch:
+ *     summary: Re-enable a disabled user account (requires users:manage)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *     responses:
+ *       200:
+ *         description: User enabled
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied, or the caller lacks some permissions of the user's role
+ *       404:
+ *         description: User not found
+ */
+router.patch('/:id/enable', auth, requirePermission('users:manage'), userController.enableUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/unlock:
+ *   patch:
+ *     summary: Lift failed-attempt lockouts on an account (requires users:manage)
+ *     description: Clears the login, password reset and OTP counters for the account.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: User not found
+ */
+router.patch('/:id/unlock', auth, requirePermission('users:manage'), userController.unlockUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/2fa/reset:
+ *   patch:
+ *     summary: Remove a user's second factor (requires users:manage)
+ *     description: >
+ *       For users who lost their authenticator and backup codes. Signs the user out
+ *       everywhere; roles that require 2FA must enroll again on the next sign-in.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication reset
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied, or the caller lacks some permissions of the user's role
+ *       404:
+ *         description: User not found
+ */
+router.patch('/:id/2fa/reset', auth, requirePermission('users:manage'), userController.resetTwoFactor);
+
+module.exports = router;
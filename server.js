@@ -2,6 +2,10 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const dotenv = require('dotenv');
+
+// Load .env before the other modules, some of which read settings as they load
+dotenv.config();
+
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpecs = require('./swagger');
 const authRoutes = require('./routes/auth');
@@ -12,10 +16,42 @@ const profileRoutes = require('./routes/profile');
 const http = require('http');
 const { Server } = require('socket.io');
 const messageRoutes = require('./routes/messages');
-const jwt = require('jsonwebtoken');
-const User = require('./models/User');
+const returnRoutes = require('./routes/returns');
+const paymentRoutes = require('./routes/payments');
+const sellerRoutes = require('./routes/seller');
+const userRoutes = require('./routes/users');
+const roleRoutes = require('./routes/roles');
+const apiKeyRoutes = require('./routes/apiKeys');
+const Role = require('./models/Role');
+const Product = require('./models/Product');
+const { verifyAccessToken } = require('./services/sessions');
+const { hasPermission } = require('./services/permissions');
+const { processDueDeletions } = require('./services/accountData');
+const payments = require('./services/payments');
+const mailer = require('./services/mailer');
+const sms = require('./services/sms');
+
+// Register the deployment's gateways and transports before checking that they are configured
+require('./integrations');
 
-dotenv.config();
+try {
+  payments.assertConfigured();
+} catch (error) {
+  console.error(`Payment configuration error: ${error.message}`);
+  process.exit(1);
+}
+try {
+  mailer.assertConfigured();
+} catch (error) {
+  console.error(`Mail configuration error: ${error.message}`);
+  process.exit(1);
+}
+try {
+  sms.assertConfigured();
+} catch (error) {
+  console.error(`SMS configuration error: ${error.message}`);
+  process.exit(1);
+}
 
 const app = express();
 const server = http.createServer(app);
@@ -28,7 +64,12 @@ const io = new Server(server, {
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body so payment webhook signatures can be verified
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Swagger Documentation
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpecs, {
@@ -37,9 +78,26 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpecs, {
   customSiteTitle: 'FarmBros API Documentation'
 }));
 
+// Anonymize accounts whose deletion grace period has ended, hourly
+const startDeletionSweep = () => {
+  const sweep = () => processDueDeletions()
+    .then((count) => count > 0 && console.log(`Anonymized ${count} deleted account(s)`))
+    .catch((err) => console.error('Account deletion sweep failed:', err));
+  sweep();
+  setInterval(sweep, 60 * 60 * 1000).unref();
+};
+
 // Database connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/farmbros_ecommerce')
-  .then(() => console.log('Connected to MongoDB'))
+  .then(() => {
+    console.log('Connected to MongoDB');
+    startDeletionSweep();
+    return Promise.all([
+      Role.ensureDefaults(),
+      Product.backfillUnitsSold(),
+      Product.backfillFarmCoordinates()
+    ]);
+  })
   .catch((err) => console.error('MongoDB connection error:', err));
 
 // Routes
@@ -49,6 +107,12 @@ app.use('/api/orders', orderRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/profile', profileRoutes);
 app.use('/api/messages', messageRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/seller', sellerRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
 
 // Socket.IO connection handler with authentication
 io.on('connection', (socket) => {
@@ -66,11 +130,12 @@ io.on('connection', (socket) => {
         return;
       }
 
-      // Verify JWT token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id);
-
-      if (!user) {
+      // Verify JWT token and reject revoked sessions
+      let user;
+      let session;
+      try {
+        ({ user, session } = await verifyAccessToken(token));
+      } catch (error) {
         socket.emit('authentication_error', { message: 'Invalid token' });
         return;
       }
@@ -78,24 +143,22 @@ io.on('connection', (socket) => {
       // Store user info in socket
       socket.userId = user._id.toString();
       socket.user = user;
+      socket.sessionId = session._id.toString();
 
-      // Join user to their personal room
+      // Join user to their personal room, and a session room so logging out
+      // of this session can disconnect the socket
       socket.join(user._id.toString());
+      socket.join(`session:${session._id}`);
 
-      // If user is admin, also join admin room
-      if (user.role === 'admin') {
+      // Users who answer chats also join the admin room
+      if (await hasPermission(user, 'messages:reply')) {
         socket.join('admins');
       }
 
       // Emit authentication success
       socket.emit('authenticated', {
         message: 'Successfully authenticated',
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role
-        }
+        user: user.toJSON()
       });
 
       console.log(`User ${user.name} (${user._id}) authenticated and joined rooms`);
@@ -105,18 +168,31 @@ io.on('connection', (socket) => {
     }
   });
 
+  // Typing indicators need an authenticated socket. Support staff (the 'admins'
+  // room, i.e. messages:reply) can signal anyone; other users only support staff.
+  const canSignal = (receiverId) => {
+    if (!socket.userId || !receiverId) {
+      return false;
+    }
+    if (socket.rooms.has('admins')) {
+      return true;
+    }
+    const supportSockets = io.sockets.adapter.rooms.get('admins');
+    const receiverSockets = io.sockets.adapter.rooms.get(String(receiverId));
+    return Boolean(supportSockets && receiverSockets) &&
+      [...receiverSockets].some(id => supportSockets.has(id));
+  };
+
   // Handle typing indicators
-  socket.on('typing', (data) => {
-    const { receiverId, senderId } = data;
-    if (receiverId && senderId) {
-      socket.to(receiverId).emit('user_typing', { senderId });
+  socket.on('typing', (data = {}) => {
+    if (canSignal(data.receiverId)) {
+      socket.to(String(data.receiverId)).emit('user_typing', { senderId: socket.userId });
     }
   });
 
-  socket.on('stop_typing', (data) => {
-    const { receiverId, senderId } = data;
-    if (receiverId && senderId) {
-      socket.to(receiverId).emit('user_stop_typing', { senderId });
+  socket.on('stop_typing', (data = {}) => {
+    if (canSignal(data.receiverId)) {
+      socket.to(String(data.receiverId)).emit('user_stop_typing', { senderId: socket.userId });
     }
   });
 
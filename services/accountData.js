@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const CartItem = require('../models/Cart');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Message = require('../models/Message');
+const ReturnRequest = require('../models/Return');
+const Session = require('../models/Session');
+const VerificationCode = require('../models/VerificationCode');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const AuthThrottle = require('../models/AuthThrottle');
+const ApiKey = require('../models/ApiKey');
+const AuditLog = require('../models/AuditLog');
+const { createZip } = require('./zip');
+
+// Days between a deletion request and the account being anonymized
+const DELETION_GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+const REDACTED = '[deleted]';
+
+// Everything stored about a user, as plain objects
+const buildExport = async (userId) => {
+    const user = await User.findById(userId);
+    const { addresses, ...profile } = user.toJSON();
+
+    const [cartItems, orders, products, messages, returns] = await Promise.all([
+        CartItem.find({ user: userId }).populate('product', 'name price unit').lean(),
+        Order.find({ user: userId }).populate('items.product', 'name').sort({ createdAt: -1 }).lean(),
+        Product.find({ 'reviews.user': userId }).select('name reviews').lean(),
+        Message.find({ $or: [{ senderId: userId }, { receiverId: userId }] }).sort({ timestamp: 1 }).lean(),
+        ReturnRequest.find({ user: userId }).sort({ createdAt: -1 }).lean()
+    ]);
+
+    const reviews = [];
+    for (const product of products) {
+        for (const review of product.reviews) {
+            if (review.user.toString() === userId.toString()) {
+                reviews.push({
+                    product: { _id: product._id, name: product.name },
+                    rating: review.rating,
+                    comment: review.comment,
+                    createdAt: review.createdAt
+                });
+            }
+        }
+    }
+
+    return {
+        exportedAt: new Date(),
+        profile,
+        addresses,
+        cartItems,
+        orders,
+        reviews,
+        messages: messages.map(message => ({
+            ...message,
+            direction: message.senderId.toString() === userId.toString() ? 'sent' : 'received'
+        })),
+        returns
+    };
+};
+
+const csvValue = (value) => {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (columns, rows) => {
+    const lines = [columns.join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => csvValue(row[column])).join(','));
+    }
+    return `${lines.join('\r\n')}\r\n`;
+};
+
+// The export as a ZIP of CSV files, one per kind of record
+const buildCsvZip = (bundle) => {
+    const { profile } = bundle;
+    const orderItems = [];
+    for (const order of bundle.orders) {
+        for (const item of order.items) {
+            orderItems.push({
+                orderId: order._id,
+                productId: item.product && item.product._id,
+                productName: item.product && item.product.name,
+                quantity: item.quantity,
+                price: item.price
+            });
+        }
+    }
+
+    return createZip({
+        'profile.csv': toCsv(
+            ['id', 'name', 'email', 'phone', 'role', 'emailVerified', 'phoneVerified', 'createdAt', 'updatedAt'],
+            [{ ...profile, id: profile._id }]
+        ),
+        'addresses.csv': toCsv(
+            ['street', 'city', 'state', 'country', 'zipCode', 'isDefault', 'latitude', 'longitude'],
+            bundle.addresses
+        ),
+        'cart_items.csv': toCsv(
+            ['productId', 'productName', 'quantity', 'addedAt'],
+            bundle.cartItems.map(item => ({
+                productId: item.product && item.product._id,
+                productName: item.product && item.product.name,
+                quantity: item.quantity,
+                addedAt: item.createdAt
+            }))
+        ),
+        'orders.csv': toCsv(
+            ['id', 'createdAt', 'orderStatus', 'paymentStatus', 'paymentMethod', 'totalAmount', 'street', 'city', 'state', 'country', 'zipCode'],
+            bundle.orders.map(order => ({ id: order._id, ...order, ...order.shippingAddress }))
+        ),
+        'order_items.csv': toCsv(['orderId', 'productId', 'productName', 'quantity', 'price'], orderItems),
+        'reviews.csv': toCsv(
+            ['productId', 'productName', 'rating', 'comment', 'createdAt'],
+            bundle.reviews.map(review => ({
+                productId: review.product._id,
+                productName: review.product.name,
+                ...review
+            }))
+        ),
+        'messages.csv': toCsv(
+            ['id', 'timestamp', 'direction', 'messageType', 'messageBody', 'isRead'],
+            bundle.messages.map(message => ({ id: message._id, ...message }))
+        ),
+        'returns.csv': toCsv(
+            ['id', 'orderId', 'createdAt', 'status', 'reason', 'refundAmount'],
+            bundle.returns.map(request => ({ id: request._id, orderId: request.order, ...request }))
+        )
+    }, bundle.exportedAt);
+};
+
+// Schedule the account for anonymization after the grace period
+const requestDeletion = async (user) => {
+    user.deletionRequestedAt = new Date();
+    user.deletionScheduledFor = new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+    await user.save();
+    return user.deletionScheduledFor;
+};
+
+const cancelDeletion = async (user) => {
+    user.deletionRequestedAt = undefined;
+    user.deletionScheduledFor = undefined;
+    await user.save();
+};
+
+// Strip personal data but keep the user document, so orders, reviews and
+// messages still point at a (now anonymous) user. The user is marked deleted
+// only once everything else is cleaned up, and every step can safely run
+// again, so an anonymization that fails part way is finished on the next run.
+const anonymizeUser = async (userId) => {
+    const user = await User.findById(userId);
+    if (!user || user.deletedAt) {
+        return;
+    }
+
+    // Phone sign-in codes and throttle counters may be keyed by contact rather than user
+    const contacts = [user.email, user.phone].filter(Boolean);
+
+    await Order.updateMany({ user: user._id }, {
+        $set: { 'shippingAddress.street': REDACTED, 'shippingAddress.zipCode': REDACTED },
+        $unset: { notes: 1 }
+    });
+
+    await Promise.all([
+        Message.updateMany(
+            { $or: [{ senderId: user._id }, { receiverId: user._id }] },
+            { $set: { messageBody: REDACTED } }
+        ),
+        Product.updateMany(
+            { 'reviews.user': user._id },
+            { $unset: { 'reviews.$[review].comment': 1 } },
+            { arrayFilters: [{ 'review.user': user._id }] }
+        ),
+        ReturnRequest.updateMany({ user: user._id }, { $set: { reason: REDACTED, photos: [] } }),
+        CartItem.deleteMany({ user: user._id }),
+        Session.deleteMany({ user: user._id }),
+        VerificationCode.deleteMany({ $or: [{ user: user._id }, { target: { $in: contacts } }] }),
+        IdempotencyKey.deleteMany({ user: user._id }),
+        AuthThrottle.deleteMany({
+            $or: [{ user: user._id }, { type: 'account', key: { $in: [user._id.toString(), ...contacts] } }]
+        }),
+        ApiKey.updateMany({ user: user._id, revokedAt: null }, { $set: { revokedAt: new Date() } })
+    ]);
+
+    Object.assign(user, {
+        name: 'Deleted user',
+        email: `deleted-${user._id}@deleted.invalid`,
+        password: crypto.randomBytes(32).toString('hex'),
+        addresses: [],
+        role: 'user',
+        emailVerified: false,
+        phoneVerified: false,
+        disabled: true,
+        disabledAt: new Date(),
+        disabledReason: 'account_deleted',
+        deletedAt: new Date()
+    });
+    for (const field of ['phone', 'address', 'profilePicture', 'deletionRequestedAt', 'deletionScheduledFor',
+        'twoFactorSecret', 'twoFactorPendingSecret', 'twoFactorBackupCodes', 'twoFactorLastStep']) {
+        user[field] = undefined;
+    }
+    user.twoFactorEnabled = false;
+    await user.save();
+
+    await AuditLog.create({ action: 'account.deleted', user: user._id });
+};
+
+// Anonymize every account whose grace period has ended. Returns how many.
+const processDueDeletions = async () => {
+    const due = await User.find({ deletionScheduledFor: { $lte: new Date() }, deletedAt: null }).select('_id');
+    for (const { _id } of due) {
+        try {
+            await anonymizeUser(_id);
+        } catch (error) {
+            console.error(`Error anonymizing user ${_id}:`, error);
+        }
+    }
+    return due.length;
+};
+
+module.exports = {
+    DELETION_GRACE_DAYS,
+    buildExport,
+    buildCsvZip,
+    requestDeletion,
+    cancelDeletion,
+    anonymizeUser,
+    processDueDeletions
+};
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const net = require('net');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+
+const KEY_PREFIX = 'fbk_';
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Express reports IPv4 clients as "::ffff:1.2.3.4" on dual-stack servers
+const normalizeIp = (ip) => String(ip || '').replace(/^::ffff:/, '');
+
+const ipv4ToNumber = (ip) => ip.split('.').reduce((total, part) => total * 256 + Number(part), 0);
+
+const matchesIp = (ip, rule) => {
+    if (!rule.includes('/')) {
+        return normalizeIp(rule) === ip;
+    }
+    const [range, bits] = rule.split('/');
+    if (!net.isIPv4(range) || !net.isIPv4(ip)) {
+        return false;
+    }
+    const size = 2 ** (32 - Number(bits));
+    return Math.floor(ipv4ToNumber(ip) / size) === Math.floor(ipv4ToNumber(range) / size);
+};
+
+const isValidIpRule = (rule) => {
+    if (typeof rule !== 'string') {
+        return false;
+    }
+    if (!rule.includes('/')) {
+        return net.isIP(rule) !== 0;
+    }
+    const [range, bits] = rule.split('/');
+    return net.isIPv4(range) && /^\d+$/.test(bits) && Number(bits) <= 32;
+};
+
+const isIpAllowed = (apiKey, ip) => {
+    if (!apiKey.allowedIps || apiKey.allowedIps.length === 0) {
+        return true;
+    }
+    const address = normalizeIp(ip);
+    return apiKey.allowedIps.some(rule => matchesIp(address, rule));
+};
+
+// Create a key. The plain key is returned only here; afterwards only its
+// prefix can be shown.
+const createApiKey = async ({ name, user, permissions, allowedIps, expiresAt, createdBy }) => {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+    const apiKey = new ApiKey({
+        name,
+        prefix: key.slice(0, KEY_PREFIX.length + 8),
+        keyHash: hashKey(key),
+        user,
+        permissions,
+        allowedIps,
+        expiresAt,
+        createdBy
+    });
+    await apiKey.save();
+
+    return { apiKey, key };
+};
+
+// Check a key from a request and return it with the user it acts as. The
+// user's permissions are narrowed to the key's scopes for this request.
+const verifyApiKey = async (key, ip) => {
+    const invalid = () => Object.assign(new Error('Invalid API key'), { status: 401 });
+
+    if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) {
+        throw invalid();
+    }
+    const apiKey = await ApiKey.findOne({ keyHash: hashKey(key) });
+    if (!apiKey || !apiKey.isActive()) {
+        throw invalid();
+    }
+    if (!isIpAllowed(apiKey, ip)) {
+        throw Object.assign(new Error('API key is not allowed from this address'), { status: 403 });
+    }
+
+    const user = await User.findById(apiKey.user);
+    if (!user || user.disabled) {
+        throw invalid();
+    }
+    user.$locals.apiKeyPermissions = apiKey.permissions;
+
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+        await ApiKey.updateOne(
+            { _id: apiKey._id },
+            { $set: { lastUsedAt: new Date(), lastUsedIp: normalizeIp(ip) } }
+        );
+    }
+
+    return { apiKey, user };
+};
+
+module.exports = {
+    isValidIpRule,
+    createApiKey,
+    verifyApiKey
+};
@@ -0,0 +1,164 @@
+const AuthThrottle = require('../models/AuthThrottle');
+const AuditLog = require('../models/AuditLog');
+
+const MINUTE_MS = 60 * 1000;
+
+// Failures allowed within the window before a lockout, per account and per IP
+const MAX_ACCOUNT_FAILURES = Number(process.env.AUTH_MAX_FAILED_ATTEMPTS) || 5;
+const MAX_IP_FAILURES = Number(process.env.AUTH_MAX_FAILED_ATTEMPTS_PER_IP) || 20;
+const ATTEMPT_WINDOW_MINUTES = Number(process.env.AUTH_ATTEMPT_WINDOW_MINUTES) || 15;
+const LOCKOUT_MINUTES = Number(process.env.AUTH_LOCKOUT_MINUTES) || 15;
+const MAX_DELAY_SECONDS = 30;
+
+const LIMITS = {
+    account: MAX_ACCOUNT_FAILURES,
+    ip: MAX_IP_FAILURES
+};
+
+// Once half of the allowed failures are used up, each further failure doubles
+// the wait before the next attempt: 1s, 2s, 4s... up to MAX_DELAY_SECONDS
+const getDelaySeconds = (failures, limit) => {
+    const free = Math.ceil(limit / 2);
+    if (failures < free) {
+        return 0;
+    }
+    return Math.min(2 ** (failures - free), MAX_DELAY_SECONDS);
+};
+
+const toCounters = (scope, { account, ip }) => {
+    const counters = [];
+    if (account) counters.push({ scope, type: 'account', key: String(account).toLowerCase().trim() });
+    if (ip) counters.push({ scope, type: 'ip', key: ip });
+    return counters;
+};
+
+const throttledError = (message, until) => {
+    return Object.assign(new Error(message), {
+        status: 429,
+        retryAfter: Math.max(1, Math.ceil((until.getTime() - Date.now()) / 1000))
+    });
+};
+
+// Throws a 429 error with retryAfter (seconds) while the account or IP is
+// locked out or still waiting out a progressive delay
+const assertNotThrottled = async (scope, identity) => {
+    const now = new Date();
+    const records = await AuthThrottle.find({ $or: toCounters(scope, identity) });
+
+    for (const record of records) {
+        if (record.lockedUntil && record.lockedUntil > now) {
+            const message = record.type === 'account'
+                ? 'Too many failed attempts. This account is temporarily locked'
+                : 'Too many failed attempts from this address. Try again later';
+            throw throttledError(message, record.lockedUntil);
+        }
+    }
+    for (const record of records) {
+        if (record.nextAttemptAt && record.nextAttemptAt > now) {
+            throw throttledError('Too many failed attempts. Please wait before trying again', record.nextAttemptAt);
+        }
+    }
+};
+
+// Count a failed attempt against the account and the IP. Applies the
+// progressive delay and locks the counter out once it reaches its limit.
+const recordFailure = async (scope, identity, { user } = {}) => {
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - ATTEMPT_WINDOW_MINUTES * MINUTE_MS);
+
+    for (const counter of toCounters(scope, identity)) {
+        const limit = LIMITS[counter.type];
+
+        // Failures older than the window no longer count
+        await AuthThrottle.updateOne(
+            { ...counter, lastFailureAt: { $lt: windowStart } },
+            { $set: { failures: 0 }, $unset: { lockedUntil: 1, nextAttemptAt: 1 } }
+        );
+
+        const update = {
+            $inc: { failures: 1 },
+            $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + ATTEMPT_WINDOW_MINUTES * MINUTE_MS) }
+        };
+        if (user && counter.type === 'account') {
+            update.$set.user = user._id;
+        }
+        const record = await AuthThrottle.findOneAndUpdate(counter, update, { upsert: true, new: true });
+
+        if (record.failures >= limit) {
+            record.lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * MINUTE_MS);
+            record.nextAttemptAt = undefined;
+            record.failures = 0;
+            if (record.lockedUntil > record.expiresAt) {
+                record.expiresAt = record.lockedUntil;
+            }
+            await record.save();
+
+            await AuditLog.create({
+                action: 'auth.lockout',
+                user: record.user,
+                ip: identity.ip,
+                details: {
+                    scope,
+                    type: counter.type,
+                    key: counter.key,
+                    failures: limit,
+                    lockedUntil: record.lockedUntil
+                }
+            });
+        } else {
+            const delay = getDelaySeconds(record.failures, limit);
+            if (delay > 0) {
+                record.nextAttemptAt = new Date(now.getTime() + delay * 1000);
+                await record.save();
+            }
+        }
+    }
+};
+
+// A successful attempt clears the account's counter. The IP counter is kept
+// so one valid account cannot be used to reset an address that is guessing others.
+const recordSuccess = async (scope, { account }) => {
+    if (!account) {
+        return;
+    }
+    await AuthThrottle.deleteMany(toCounters(scope, { account }));
+};
+
+// Remove every account counter and lockout for a user. Returns the number of
+// counters cleared.
+const unlockAccount = async (user, actor) => {
+    const keys = [user._id.toString(), user.email, user.phone].filter(Boolean);
+    const result = await AuthThrottle.deleteMany({
+        type: 'account',
+        $or: [{ user: user._id }, { key: { $in: keys } }]
+    });
+
+    await AuditLog.create({
+        action: 'auth.unlock',
+        user: user._id,
+        actor: actor && actor._id,
+        details: { cleared: result.deletedCount }
+    });
+    return result.deletedCount;
+};
+
+// Remove every counter and lockout for an IP address
+const unlockIp = async (ip, actor) => {
+    const result = await AuthThrottle.deleteMany({ type: 'ip', key: ip });
+
+    await AuditLog.create({
+        action: 'auth.unlock',
+        actor: actor && actor._id,
+        ip,
+        details: { cleared: result.deletedCount }
+    });
+    return result.deletedCount;
+};
+
+module.exports = {
+    assertNotThrottled,
+    recordFailure,
+    recordSuccess,
+    unlockAccount,
+    unlockIp
+};
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Pluggable outgoing mail. The transport is chosen with MAIL_TRANSPORT; the
+// built-in "console" and "file" transports are for local development. A real
+// provider can be added with registerTransport() from integrations.js.
+
+const consoleTransport = {
+    send: async (message) => {
+        console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+    }
+};
+
+const fileTransport = {
+    send: async (message) => {
+        const file = process.env.MAIL_OUTBOX_FILE || path.join(os.tmpdir(), 'farmbros-mail.log');
+        const entry = JSON.stringify({ ...message, sentAt: new Date().toISOString() });
+        await fs.promises.appendFile(file, `${entry}\n`);
+    }
+};
+
+const transports = {
+    console: consoleTransport,
+    file: fileTransport
+};
+
+// Transports that keep mail on the server, which would put reset links in its logs
+const DEVELOPMENT_TRANSPORTS = ['console', 'file'];
+
+const registerTransport = (name, transport) => {
+    if (!transport || typeof transport.send !== 'function') {
+        throw new Error('Mail transport must have a send function');
+    }
+    transports[name] = transport;
+};
+
+// Check the transport at startup. Production must name a real one, registered
+// in integrations.js; elsewhere the console transport is the default.
+const assertConfigured = () => {
+    const name = process.env.MAIL_TRANSPORT;
+    if (name && !transports[name]) {
+        throw new Error(`Unknown mail transport ${name}`);
+    }
+    if (process.env.NODE_ENV === 'production' && (!name || DEVELOPMENT_TRANSPORTS.includes(name))) {
+        throw new Error('MAIL_TRANSPORT must be set to a real mail transport in production');
+    }
+};
+
+const sendMail = async ({ to, subject, text }) => {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const transport = transports[name];
+    if (!transport) {
+        throw new Error(`Unknown mail transport ${name}`);
+    }
+    await transport.send({
+        from: process.env.MAIL_FROM || 'FarmBros <no-reply@farmbros.com>',
+        to,
+        subject,
+        text
+    });
+};
+
+module.exports = {
+    registerTransport,
+    assertConfigured,
+    sendMail
+};
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+
+// Fulfillment statuses an order can still be cancelled from as a whole
+const CANCELLABLE_FULFILLMENT_STATUSES = ['PENDING', 'PROCESSING', 'CANCELLED'];
+
+const conflict = (message) => Object.assign(new Error(message), { status: 409 });
+
+// Decrement stock for every line item of an order inside the given transaction.
+// Throws if any product no longer has enough stock, which aborts the transaction.
+const reserveOrderStock = async (order, session) => {
+    for (const item of order.items) {
+        const product = await Product.reserveStock(
+            item.product,
+            item.quantity,
+            `Order ${order._id}`,
+            session
+        );
+        if (!product) {
+            throw new Error(`Insufficient stock for product ${item.product}`);
+        }
+    }
+};
+
+// Return each item's quantity to stock within the given transaction
+const restockItems = async (items, reason, session) => {
+    for (const item of items) {
+        const product = await Product.findById(item.product).session(session);
+        // Products deleted since the order was placed have nothing to restock
+        if (!product) continue;
+        await product.updateStock(item.quantity, 'returned', reason);
+    }
+};
+
+// Cancel an order: return every item that has not already been cancelled to
+// stock, flag a paid order for refund and save, all in one transaction
+const cancelOrder = async (order, cancelledBy, note = '') => {
+    const previousStatus = order.orderStatus;
+    // Items of fulfillment groups cancelled earlier were restocked at the time
+    const items = order.fulfillments.length === 0
+        ? order.items
+        : order.fulfillments
+            .filter(group => group.status !== 'CANCELLED')
+            .flatMap(group => order.getFulfillmentItems(group));
+
+    order.transitionTo('CANCELLED', cancelledBy, note);
+    if (order.paymentStatus === 'PAID') {
+        order.paymentStatus = 'REFUND_PENDING';
+    }
+
+    await mongoose.connection.transaction(async (session) => {
+        // Claim the cancellation first. The order was read outside the
+        // transaction, so only the request that still finds it in the status it
+        // checked may go on to restock; a concurrent cancel matches nothing.
+        const claimed = await Order.updateOne(
+            {
+                _id: order._id,
+                orderStatus: previousStatus,
+                fulfillments: { $not: { $elemMatch: { status: { $nin: CANCELLABLE_FULFILLMENT_STATUSES } } } }
+            },
+            { $set: { orderStatus: 'CANCELLED' } },
+            { session }
+        );
+        if (claimed.matchedCount === 0) {
+            throw conflict('Order was changed by another request and can no longer be cancelled');
+        }
+
+        await restockItems(items, `Order ${order._id} cancelled`, session);
+        await order.save({ session });
+    });
+    return order;
+};
+
+// Cancel one seller's fulfillment group, restocking only its items
+const cancelFulfillment = async (order, group, cancelledBy, note = '') => {
+    const previousStatus = group.status;
+    order.transitionFulfillment(group, 'CANCELLED', cancelledBy, note);
+    // Only this seller's items are refunded; the rest of the order stays paid
+    // An unpaid order gets the refund if its payment succeeds later (see payments.handleWebhook)
+    if (['PAID', 'PARTIALLY_REFUNDED'].includes(order.paymentStatus)) {
+        order.recordRefund(order.getFulfillmentTotal(group));
+    }
+
+    await mongoose.connection.transaction(async (session) => {
+        // Claim the group as for cancelOrder, so concurrent cancels restock once
+        const claimed = await Order.updateOne(
+            { _id: order._id, fulfillments: { $elemMatch: { _id: group._id, status: previousStatus } } },
+            { $set: { 'fulfillments.$.status': 'CANCELLED' } },
+            { session }
+        );
+        if (claimed.matchedCount === 0) {
+            throw conflict('Fulfillment was changed by another request and can no longer be cancelled');
+        }
+
+        await restockItems(
+            order.getFulfillmentItems(group),
+            `Order ${order._id} fulfillment ${group._id} cancelled`,
+            session
+        );
+        await order.save({ session });
+    });
+    return order;
+};
+
+module.exports = {
+    reserveOrderStock,
+    restockItems,
+    cancelOrder,
+    cancelFulfillment
+};
@@ -0,0 +1,23 @@
+// Cash on delivery. There is nothing to confirm up front; the payment is
+// settled when the order is marked DELIVERED.
+
+const createIntent = async ({ order, amount, currency }) => {
+    return {
+        reference: `cod_${order._id}`,
+        clientSecret: null,
+        amount,
+        currency
+    };
+};
+
+const parseWebhook = () => {
+    throw new Error('Cash on delivery payments do not receive webhooks');
+};
+
+module.exports = {
+    name: 'cod',
+    supportsWebhooks: false,
+    settlesOnDelivery: true,
+    createIntent,
+    parseWebhook
+};
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+
+// Sandbox payment provider. It never talks to a real gateway: intents are
+// created locally and confirmed by a webhook signed with PAYMENT_WEBHOOK_SECRET,
+// which tests and local tooling can produce with buildWebhook(). It is not
+// registered in production.
+
+const SIGNATURE_HEADER = 'x-payment-signature';
+
+// No default: a secret known to everyone would let anyone mark orders paid
+const getSecret = () => {
+    if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+        throw new Error('PAYMENT_WEBHOOK_SECRET is not set');
+    }
+    return process.env.PAYMENT_WEBHOOK_SECRET;
+};
+
+const sign = (rawBody) => {
+    return crypto.createHmac('sha256', getSecret()).update(rawBody).digest('hex');
+};
+
+const createIntent = async ({ amount, currency }) => {
+    const reference = `fake_${crypto.randomUUID()}`;
+    return {
+        reference,
+        clientSecret: `${reference}_secret_${crypto.randomBytes(8).toString('hex')}`,
+        amount,
+        currency
+    };
+};
+
+// Verify the signature and turn the webhook body into a payment event
+const parseWebhook = (rawBody, headers) => {
+    const signature = headers[SIGNATURE_HEADER];
+    if (!rawBody || !signature) {
+        throw new Error('Missing webhook signature');
+    }
+
+    const expected = Buffer.from(sign(rawBody));
+    const received = Buffer.from(String(signature));
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        throw new Error('Invalid webhook signature');
+    }
+
+    const { type, data = {} } = JSON.parse(rawBody.toString());
+    if (!['payment.succeeded', 'payment.failed'].includes(type)) {
+        throw new Error(`Unsupported webhook event ${type}`);
+    }
+
+    return {
+        type,
+        reference: data.reference,
+        amount: data.amount,
+        failureReason: data.failureReason
+    };
+};
+
+// Build a signed webhook request body and headers, as the gateway would send them
+const buildWebhook = (type, data) => {
+    const body = JSON.stringify({ type, data });
+    return {
+        body,
+        headers: {
+            'content-type': 'application/json',
+            [SIGNATURE_HEADER]: sign(body)
+        }
+    };
+};
+
+module.exports = {
+    name: 'fake',
+    supportsWebhooks: true,
+    createIntent,
+    parseWebhook,
+    buildWebhook
+};
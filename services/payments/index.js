@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const Payment = require('../../models/Payment');
+const Order = require('../../models/Order');
+const fakeProvider = require('./fakeProvider');
+const codProvider = require('./codProvider');
+
+// Registered payment providers by name. Additional gateways can be plugged in
+// with registerProvider() (from integrations.js) and selected for card/UPI
+// payments via PAYMENT_PROVIDER.
+// The sandbox provider is only available outside production.
+const providers = {
+    [codProvider.name]: codProvider
+};
+if (process.env.NODE_ENV !== 'production') {
+    providers[fakeProvider.name] = fakeProvider;
+}
+
+const CURRENCY = process.env.PAYMENT_CURRENCY || 'INR';
+
+const registerProvider = (provider) => {
+    if (!provider || !provider.name || typeof provider.createIntent !== 'function' ||
+        typeof provider.parseWebhook !== 'function') {
+        throw new Error('Payment provider must have a name, createIntent and parseWebhook');
+    }
+    providers[provider.name] = provider;
+};
+
+const getProvider = (name) => providers[name] || null;
+
+// Cash is always collected on delivery; card and UPI go through the configured gateway
+const getProviderForMethod = (method) => {
+    if (method === 'cash') {
+        return codProvider;
+    }
+    const provider = getProvider(process.env.PAYMENT_PROVIDER);
+    if (!provider) {
+        throw new Error(`Unknown payment provider ${process.env.PAYMENT_PROVIDER}`);
+    }
+    return provider;
+};
+
+// Check the gateway settings at startup, so a misconfigured server fails
+// before it accepts orders or webhooks. Gateways must be registered first
+// (see integrations.js).
+const assertConfigured = () => {
+    const name = process.env.PAYMENT_PROVIDER;
+    if (!name) {
+        throw new Error('PAYMENT_PROVIDER must be set');
+    }
+    const provider = getProvider(name);
+    if (!provider) {
+        throw new Error(`Unknown payment provider ${name}`);
+    }
+    // Card and UPI payments would wait forever for a delivery that settles only cash
+    if (provider.settlesOnDelivery) {
+        throw new Error(`PAYMENT_PROVIDER cannot be ${name}; it must be a gateway for card and UPI payments`);
+    }
+    if (provider.supportsWebhooks && !process.env.PAYMENT_WEBHOOK_SECRET) {
+        throw new Error('PAYMENT_WEBHOOK_SECRET must be set');
+    }
+};
+
+// Compare amounts in the smallest currency unit to avoid floating point drift
+const amountsMatch = (a, b) => Math.round(a * 100) === Math.round(b * 100);
+
+// Create a payment intent for a newly placed order and record the attempt
+const createPaymentForOrder = async (order) => {
+    const provider = getProviderForMethod(order.paymentMethod);
+    const intent = await provider.createIntent({
+        order,
+        amount: order.totalAmount,
+        currency: CURRENCY
+    });
+
+    const payment = new Payment({
+        order: order._id,
+        user: order.user,
+        provider: provider.name,
+        method: order.paymentMethod,
+        reference: intent.reference,
+        amount: order.totalAmount,
+        currency: CURRENCY
+    });
+    await payment.save();
+
+    return {
+        payment,
+        clientSecret: intent.clientSecret
+    };
+};
+
+// Verify a provider webhook and apply it to the matching payment and order.
+// Replayed webhooks for a payment that is already settled are recorded but ignored.
+const handleWebhook = async (providerName, rawBody, headers) => {
+    const provider = getProvider(providerName);
+    if (!provider || !provider.supportsWebhooks) {
+        throw Object.assign(new Error('Unknown payment provider'), { status: 404 });
+    }
+
+    let event;
+    try {
+        event = provider.parseWebhook(rawBody, headers);
+    } catch (error) {
+        throw Object.assign(error, { status: 400 });
+    }
+
+    const payment = await Payment.findOne({ provider: provider.name, reference: event.reference });
+    if (!payment) {
+        throw Object.assign(new Error('Payment not found'), { status: 404 });
+    }
+
+    payment.events.push({ type: event.type, amount: event.amount });
+    if (payment.status !== 'CREATED') {
+        await payment.save();
+        return { payment, order: null };
+    }
+
+    const order = await Order.findById(payment.order);
+    if (!order) {
+        throw Object.assign(new Error('Order not found'), { status: 404 });
+    }
+
+    if (event.type === 'payment.succeeded' &&
+        (!amountsMatch(event.amount, payment.amount) || !amountsMatch(event.amount, order.totalAmount))) {
+        payment.status = 'FAILED';
+        payment.failureReason = `Amount mismatch: expected ${order.totalAmount}, received ${event.amount}`;
+    } else if (event.type === 'payment.succeeded') {
+        payment.status = 'SUCCEEDED';
+        payment.settledAt = new Date();
+    } else {
+        payment.status = 'FAILED';
+        payment.failureReason = event.failureReason || 'Payment failed';
+    }
+
+    if (['PENDING', 'FAILED'].includes(order.paymentStatus)) {
+        if (payment.status !== 'SUCCEEDED') {
+            order.paymentStatus = 'FAILED';
+        } else if (order.orderStatus === 'CANCELLED') {
+            // The order was cancelled while awaiting payment, so the money goes back
+            order.paymentStatus = 'REFUND_PENDING';
+        } else {
+            order.paymentStatus = 'PAID';
+            // Groups cancelled while the payment was pending were restocked but not refunded
+            for (const group of order.fulfillments) {
+                if (group.status === 'CANCELLED') {
+                    order.recordRefund(order.getFulfillmentTotal(group));
+                }
+            }
+        }
+    }
+
+    await payment.save();
+    await order.save();
+    return { payment, order };
+};
+
+// Settle a cash on delivery payment once the order has been delivered.
+// Modifies the order in place; the caller saves it.
+const settleCashOnDelivery = async (order) => {
+    if (order.paymentMethod !== 'cash' || order.paymentStatus !== 'PENDING') {
+        return null;
+    }
+
+    let payment = await Payment.findOne({ order: order._id, provider: codProvider.name, status: 'CREATED' });
+    if (!payment) {
+        payment = new Payment({
+            order: order._id,
+            user: order.user,
+            provider: codProvider.name,
+            method: 'cash',
+            reference: `cod_${order._id}`,
+            amount: order.totalAmount,
+            currency: CURRENCY
+        });
+    }
+
+    payment.status = 'SUCCEEDED';
+    payment.settledAt = new Date();
+    payment.events.push({ type: 'payment.collected', amount: order.totalAmount });
+    await payment.save();
+
+    order.paymentStatus = 'PAID';
+    return payment;
+};
+
+// Record a payment status set by hand by an admin, so every change has an audit entry
+const recordManualPayment = async (order, paymentStatus, adminId) => {
+    if (!['PAID', 'FAILED'].includes(paymentStatus)) {
+        return null;
+    }
+
+    const payment = new Payment({
+        order: order._id,
+        user: order.user,
+        provider: 'manual',
+        method: order.paymentMethod,
+        reference: `manual_${crypto.randomUUID()}`,
+        amount: order.totalAmount,
+        currency: CURRENCY,
+        status: paymentStatus === 'PAID' ? 'SUCCEEDED' : 'FAILED',
+        settledAt: paymentStatus === 'PAID' ? new Date() : undefined,
+        failureReason: paymentStatus === 'FAILED' ? `Marked as failed by admin ${adminId}` : undefined,
+        events: [{ type: `manual.${paymentStatus.toLowerCase()}`, amount: order.totalAmount }]
+    });
+    await payment.save();
+    return payment;
+};
+
+module.exports = {
+    registerProvider,
+    assertConfigured,
+    getProvider,
+    getProviderForMethod,
+    createPaymentForOrder,
+    handleWebhook,
+    settleCashOnDelivery,
+    recordManualPayment
+};
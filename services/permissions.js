@@ -0,0 +1,81 @@
+const Role = require('../models/Role');
+
+// Role permissions are read on almost every request, so they are cached
+// briefly. Changes made through the roles API clear the cache immediately.
+const CACHE_TTL_MS = 60 * 1000;
+let cache = null;
+let cachedAt = 0;
+
+const loadRoles = async () => {
+    if (cache && Date.now() - cachedAt < CACHE_TTL_MS) {
+        return cache;
+    }
+    const roles = await Role.find().lean();
+    cache = new Map(roles.map(role => [role.name, new Set(role.permissions)]));
+    cachedAt = Date.now();
+    return cache;
+};
+
+const clearPermissionCache = () => {
+    cache = null;
+};
+
+const getRolePermissions = async (role) => {
+    if (role === Role.SUPER_ROLE) {
+        return new Set(Object.keys(Role.PERMISSIONS));
+    }
+    const roles = await loadRoles();
+    if (roles.has(role)) {
+        return roles.get(role);
+    }
+    const fallback = Role.DEFAULT_ROLES[role];
+    return new Set(fallback ? fallback.permissions : []);
+};
+
+// Permissions granted by the user's role. Falls back to the default
+// definition if the role has not been stored yet. When the request was made
+// with an API key, only the permissions the key is scoped to remain.
+const getPermissions = async (user) => {
+    if (!user) {
+        return new Set();
+    }
+    const granted = await getRolePermissions(user.role);
+    const scopes = user.$locals && user.$locals.apiKeyPermissions;
+    if (!scopes) {
+        return granted;
+    }
+    return new Set(scopes.filter(permission => granted.has(permission)));
+};
+
+const hasPermission = async (user, ...permissions) => {
+    const granted = await getPermissions(user);
+    return permissions.every(permission => granted.has(permission));
+};
+
+// Permissions from the list the user does not hold. Used to stop users from
+// granting (through roles or API keys) more than they have themselves.
+const getMissingPermissions = async (user, permissions) => {
+    const granted = await getPermissions(user);
+    return [...new Set(permissions)].filter(permission => !granted.has(permission));
+};
+
+// Names of the roles that grant a permission
+const getRolesWithPermission = async (permission) => {
+    const roles = await loadRoles();
+    const names = new Set([Role.SUPER_ROLE]);
+    for (const [name, permissions] of roles) {
+        if (permissions.has(permission)) {
+            names.add(name);
+        }
+    }
+    return [...names];
+};
+
+module.exports = {
+    getRolePermissions,
+    getPermissions,
+    hasPermission,
+    getMissingPermissions,
+    getRolesWithPermission,
+    clearPermissionCache
+};
@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const productSearch = require('./productSearch');
+
+// Lower bounds of the price ranges counted in the price facet. The last range
+// is open-ended. Override with PRODUCT_PRICE_BUCKETS, e.g. "0,100,500,1000".
+const DEFAULT_PRICE_BUCKETS = [0, 50, 100, 250, 500, 1000];
+const RATING_BUCKETS = [4, 3, 2, 1];
+const FARM_LOCATION_FACET_LIMIT = 50;
+
+const getPriceBuckets = () => {
+    const configured = (process.env.PRODUCT_PRICE_BUCKETS || '')
+        .split(',')
+        .filter(value => value.trim() !== '')
+        .map(Number)
+        .filter(value => !isNaN(value));
+    const buckets = configured.length > 0 ? configured : DEFAULT_PRICE_BUCKETS;
+    return [...new Set(buckets)].sort((a, b) => a - b);
+};
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Accepts both ?category=a,b and ?category=a&category=b
+const parseList = (value) => [].concat(value)
+    .join(',')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
+const parseBoolean = (value, name) => {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    throw badRequest(`${name} must be true or false`);
+};
+
+const parseNumber = (value, name) => {
+    const number = Number(value);
+    if (value === '' || isNaN(number)) {
+        throw badRequest(`${name} must be a number`);
+    }
+    return number;
+};
+
+const parseDate = (value, name) => {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw badRequest(`${name} must be a valid date`);
+    }
+    return date;
+};
+
+// Turn listing query parameters into one MongoDB condition per filter, keyed by
+// the facet each filter narrows. Values are cast so the conditions can be used
+// in aggregations as well as finds. Throws a 400 error for invalid values.
+// Returns { filters, matches } where matches maps product IDs to their search
+// result when a search term was given.
+const buildFilters = async (query) => {
+    const filters = {};
+    let matches = null;
+
+    if (query.category) filters.category = { category: { $in: parseList(query.category) } };
+    if (query.unit) filters.unit = { unit: { $in: parseList(query.unit) } };
+    if (query.farmLocation) filters.farmLocation = { farmLocation: { $in: parseList(query.farmLocation) } };
+    if (query.organic !== undefined) {
+        filters.organic = { organic: parseBoolean(query.organic, 'organic') };
+    }
+    if (query.inStock !== undefined && parseBoolean(query.inStock, 'inStock')) {
+        filters.inStock = { stock: { $gt: 0 } };
+    }
+    if (query.minRating !== undefined) {
+        filters.rating = { rating: { $gte: parseNumber(query.minRating, 'minRating') } };
+    }
+    if (query.minPrice || query.maxPrice) {
+        const price = {};
+        if (query.minPrice) price.$gte = parseNumber(query.minPrice, 'minPrice');
+        if (query.maxPrice) price.$lte = parseNumber(query.maxPrice, 'maxPrice');
+        filters.price = { price };
+    }
+    if (query.seller) {
+        if (!mongoose.isValidObjectId(query.seller)) {
+            throw badRequest('seller must be a valid user ID');
+        }
+        filters.seller = { seller: new mongoose.Types.ObjectId(query.seller) };
+    }
+    if (query.harvestedAfter || query.harvestedBefore) {
+        const harvestDate = {};
+        if (query.harvestedAfter) harvestDate.$gte = parseDate(query.harvestedAfter, 'harvestedAfter');
+        if (query.harvestedBefore) harvestDate.$lte = parseDate(query.harvestedBefore, 'harvestedBefore');
+        filters.harvestDate = { harvestDate };
+    }
+    if (query.search) {
+        const results = await productSearch.search(query.search);
+        matches = new Map(results.map(match => [match.id, match]));
+        filters.search = { _id: { $in: results.map(match => new mongoose.Types.ObjectId(match.id)) } };
+    }
+
+    return { filters, matches };
+};
+
+// Combine every filter except the named one into a single condition
+const combineFilters = (filters, except = null) => {
+    const conditions = Object.keys(filters)
+        .filter(name => name !== except)
+        .map(name => filters[name]);
+    if (conditions.length === 0) return {};
+    if (conditions.length === 1) return conditions[0];
+    return { $and: conditions };
+};
+
+const countBy = (field, limit) => {
+    const pipeline = [
+        { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } }
+    ];
+    if (limit) pipeline.push({ $limit: limit });
+    pipeline.push({ $project: { _id: 0, value: '$_id', count: 1 } });
+    return pipeline;
+};
+
+// Counts for each facet of the product listing. Each facet is counted with
+// every active filter applied except its own, so choosing a category still
+// shows how many products the other categories would have.
+const getFacets = async (filters) => {
+    const priceBuckets = getPriceBuckets();
+
+    const facetPipelines = {
+        total: [{ $match: combineFilters(filters) }, { $count: 'count' }],
+        category: [{ $match: combineFilters(filters, 'category') }, ...countBy('category')],
+        unit: [{ $match: combineFilters(filters, 'unit') }, ...countBy('unit')],
+        organic: [
+            { $match: combineFilters(filters, 'organic') },
+            { $group: { _id: { $eq: ['$organic', true] }, count: { $sum: 1 } } },
+            { $project: { _id: 0, value: '$_id', count: 1 } }
+        ],
+        farmLocation: [
+            { $match: combineFilters(filters, 'farmLocation') },
+            ...countBy('farmLocation', FARM_LOCATION_FACET_LIMIT)
+        ],
+        rating: [
+            { $match: combineFilters(filters, 'rating') },
+            {
+                $group: RATING_BUCKETS.reduce((group, min) => {
+                    group[`atLeast${min}`] = { $sum: { $cond: [{ $gte: ['$rating', min] }, 1, 0] } };
+                    return group;
+                }, { _id: null })
+            }
+        ],
+        price: [
+            { $match: combineFilters(filters, 'price') },
+            {
+                $bucket: {
+                    groupBy: '$price',
+                    boundaries: [...priceBuckets, Infinity],
+                    default: 'other',
+                    output: { count: { $sum: 1 } }
+                }
+            }
+        ]
+    };
+
+    const [result] = await Product.aggregate([{ $facet: facetPipelines }]);
+
+    const ratingCounts = result.rating[0] || {};
+    const priceCounts = new Map(result.price.map(bucket => [bucket._id, bucket.count]));
+
+    return {
+        total: result.total.length > 0 ? result.total[0].count : 0,
+        facets: {
+            category: result.category,
+            unit: result.unit,
+            organic: result.organic,
+            farmLocation: result.farmLocation,
+            // Cumulative: "4 and up" includes every product rated 4 or more
+            rating: RATING_BUCKETS.map(min => ({ min, count: ratingCounts[`atLeast${min}`] || 0 })),
+            price: priceBuckets.map((min, i) => ({
+                min,
+                max: i + 1 < priceBuckets.length ? priceBuckets[i + 1] : null,
+                count: priceCounts.get(min) || 0
+            }))
+        }
+    };
+};
+
+module.exports = {
+    buildFilters,
+    combineFilters,
+    getFacets
+};
@@ -0,0 +1,224 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const productSearch = require('./productSearch');
+const { combineFilters } = require('./productFilters');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Embedded arrays left out of listings unless asked for with ?fields=
+const HEAVY_FIELDS = ['reviews', 'quantityHistory'];
+
+// Listing sort options: [field, direction]. Ties are broken by _id in the same
+// direction so every product has a unique position for cursor pagination.
+const SORTS = {
+    newest: ['createdAt', -1],
+    price_asc: ['price', 1],
+    price_desc: ['price', -1],
+    rating: ['rating', -1],
+    popularity: ['unitsSold', -1],
+    name: ['name', 1]
+};
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Cursors are opaque to clients: base64url-encoded JSON recording the sort they
+// belong to and where the previous page ended
+const encodeCursor = (data) => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
+    let data;
+    try {
+        data = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw badRequest('Invalid cursor');
+    }
+    if (!data || typeof data !== 'object') {
+        throw badRequest('Invalid cursor');
+    }
+    if (data.sort !== sort) {
+        throw badRequest('Cursor belongs to a different sort order');
+    }
+    return data;
+};
+
+// Projection for ?fields=name,price,images. Only top-level product fields are
+// accepted. The sort field is always included so the next cursor can be built.
+const getProjection = (fields, sortField) => {
+    if (!fields) {
+        return Object.fromEntries(HEAVY_FIELDS.map(field => [field, 0]));
+    }
+    const requested = String(fields).split(',').map(field => field.trim()).filter(Boolean);
+    const known = new Set(Object.keys(Product.schema.paths).map(path => path.split('.')[0]));
+    for (const field of requested) {
+        if (!known.has(field)) {
+            throw badRequest(`Unknown field: ${field}`);
+        }
+    }
+    if (sortField && !requested.includes(sortField)) requested.push(sortField);
+    return { _id: 1, ...Object.fromEntries(requested.map(field => [field, 1])) };
+};
+
+const getLimit = (query) => Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+const getPage = (query) => Math.max(parseInt(query.page) || 1, 1);
+
+// Page numbers only make sense when paging by number rather than by cursor
+const buildPagination = (query, { limit, total, hasMore, nextCursor }) => {
+    const pagination = { limit, total, hasMore, nextCursor };
+    if (!query.cursor) {
+        pagination.page = getPage(query);
+        pagination.pages = Math.ceil(total / limit);
+    }
+    return pagination;
+};
+
+// Attach the relevance score and highlighted fields of each search match
+const withSearchDetails = (products, matches) => products.map(product => {
+    const { score, terms } = matches.get(product.id);
+    return { ...product.toJSON(), score, highlights: productSearch.highlight(product, terms) };
+});
+
+// Search results ordered by relevance. Scores only exist in the search index,
+// so the matching IDs are ordered in memory and the cursor is an offset.
+const listByRelevance = async (query, filters, matches) => {
+    const limit = getLimit(query);
+    const projection = getProjection(query.fields);
+
+    const matching = await Product.find(combineFilters(filters)).select('_id').lean();
+    const matchingIds = new Set(matching.map(product => product._id.toString()));
+    const orderedIds = [...matches.keys()].filter(id => matchingIds.has(id));
+    const total = orderedIds.length;
+
+    const offset = query.cursor
+        ? Math.max(parseInt(decodeCursor(query.cursor, 'relevance').offset) || 0, 0)
+        : (getPage(query) - 1) * limit;
+    const pageIds = orderedIds.slice(offset, offset + limit);
+
+    const found = await Product.find({ _id: { $in: pageIds } }).select(projection);
+    const byId = new Map(found.map(product => [product.id, product]));
+    const products = pageIds.map(id => byId.get(id)).filter(Boolean);
+
+    const hasMore = offset + limit < total;
+    const nextCursor = hasMore ? encodeCursor({ sort: 'relevance', offset: offset + limit }) : null;
+    return {
+        products: withSearchDetails(products, matches),
+        pagination: buildPagination(query, { limit, total, hasMore, nextCursor })
+    };
+};
+
+// List products matching the given filters (see productFilters.buildFilters),
+// one page at a time. Pages are chosen with ?page= or, for infinite scroll, with
+// the opaque ?cursor= returned as nextCursor by the previous page. Returns
+// { products, pagination }.
+const listProducts = async (query, filters = {}, matches = null) => {
+    const sort = query.sort || (matches ? 'relevance' : 'newest');
+    if (sort !== 'relevance' && !SORTS[sort]) {
+        throw badRequest(`Unknown sort: ${sort}`);
+    }
+
+    if (sort === 'relevance' && matches) {
+        return listByRelevance(query, filters, matches);
+    }
+
+    const [field, direction] = SORTS[sort === 'relevance' ? 'newest' : sort];
+    const limit = getLimit(query);
+    const projection = getProjection(query.fields, field);
+    const condition = combineFilters(filters);
+
+    const conditions = [condition];
+    let skip = 0;
+    if (query.cursor) {
+        const { value, id } = decodeCursor(query.cursor, sort);
+        // The values go straight into the query, so refuse anything but plain values
+        if (!['string', 'number'].includes(typeof value) || !mongoose.isValidObjectId(id)) {
+            throw badRequest('Invalid cursor');
+        }
+        const after = direction === 1 ? '$gt' : '$lt';
+        conditions.push({
+            $or: [
+                { [field]: { [after]: value } },
+                { [field]: value, _id: { [after]: id } }
+            ]
+        });
+    } else {
+        skip = (getPage(query) - 1) * limit;
+    }
+
+    const [found, total] = await Promise.all([
+        Product.find(conditions.length > 1 ? { $and: conditions } : condition)
+            .select(projection)
+            .sort({ [field]: direction, _id: direction })
+            .skip(skip)
+            .limit(limit + 1),
+        Product.countDocuments(condition)
+    ]);
+
+    const hasMore = found.length > limit;
+    let products = found.slice(0, limit);
+    const last = products[products.length - 1];
+    const nextCursor = hasMore
+        ? encodeCursor({ sort, value: last.get(field), id: last.id })
+        : null;
+
+    if (matches) {
+        products = withSearchDetails(products, matches);
+    }
+    return { products, pagination: buildPagination(query, { limit, total, hasMore, nextCursor }) };
+};
+
+// List products with farm coordinates within radiusKm of point ([longitude,
+// latitude]), nearest first, with each product's distanceKm. Products without
+// coordinates are never included. Pages work as in listProducts, with the
+// cursor holding an offset.
+const listNearby = async (query, filters, matches, point, radiusKm) => {
+    const limit = getLimit(query);
+    const offset = query.cursor
+        ? Math.max(parseInt(decodeCursor(query.cursor, 'distance').offset) || 0, 0)
+        : (getPage(query) - 1) * limit;
+    const projection = getProjection(query.fields);
+    // Selected fields are an inclusion projection, which must name the distance too
+    if (query.fields) projection.distanceKm = 1;
+
+    const [result] = await Product.aggregate([
+        {
+            $geoNear: {
+                near: { type: 'Point', coordinates: point },
+                key: 'farmCoordinates',
+                distanceField: 'distanceKm',
+                distanceMultiplier: 0.001,
+                maxDistance: radiusKm * 1000,
+                spherical: true,
+                query: combineFilters(filters)
+            }
+        },
+        {
+            $facet: {
+                total: [{ $count: 'count' }],
+                products: [
+                    { $skip: offset },
+                    { $limit: limit },
+                    { $project: projection }
+                ]
+            }
+        }
+    ]);
+
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+    // Hydrate so the results serialize like any other product listing
+    let products = result.products.map(product => Product.hydrate(product, projection));
+    products = matches
+        ? withSearchDetails(products, matches)
+        : products.map(product => product.toJSON());
+    products.forEach((product, i) => {
+        product.distanceKm = Math.round(result.products[i].distanceKm * 100) / 100;
+    });
+
+    const hasMore = offset + limit < total;
+    const nextCursor = hasMore ? encodeCursor({ sort: 'distance', offset: offset + limit }) : null;
+    return { products, pagination: buildPagination(query, { limit, total, hasMore, nextCursor }) };
+};
+
+module.exports = {
+    listProducts,
+    listNearby
+};
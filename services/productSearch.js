@@ -0,0 +1,347 @@
+const Product = require('../models/Product');
+
+// In-process inverted index over the product catalogue. Each term maps to the
+// products containing it and how often it appears in each searchable field.
+// The index is built from the database on first use, kept current by the
+// Product model hooks, and rebuilt periodically so changes made by other
+// server processes are picked up (SEARCH_INDEX_REFRESH_MINUTES, default 5).
+const REFRESH_MS = (parseInt(process.env.SEARCH_INDEX_REFRESH_MINUTES) || 5) * 60 * 1000;
+
+// Every query term is compared with every index term, so long queries are cut short
+const MAX_QUERY_LENGTH = 200;
+const MAX_QUERY_TERMS = 10;
+
+const FIELDS = ['name', 'description', 'category', 'farmLocation'];
+const FIELD_WEIGHTS = {
+    name: 4,
+    category: 2,
+    farmLocation: 1.5,
+    description: 1
+};
+
+// How much a query term contributes depending on how it matched an index term
+const MATCH_WEIGHTS = {
+    exact: 1,
+    synonym: 0.9,
+    prefix: 0.6,
+    fuzzy: 0.5
+};
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'by', 'for', 'from', 'in', 'is', 'it',
+    'of', 'on', 'or', 'the', 'to', 'with'
+]);
+
+// Regional and spelling variants that should find each other. Entries are
+// stemmed before use, so plurals need not be listed.
+const SYNONYM_GROUPS = [
+    ['brinjal', 'eggplant', 'aubergine', 'baingan'],
+    ['okra', 'ladyfinger', 'bhindi'],
+    ['capsicum', 'shimla'],
+    ['coriander', 'cilantro', 'dhania'],
+    ['chili', 'chilli', 'chilly', 'mirchi'],
+    ['maize', 'corn', 'makka'],
+    ['curd', 'yogurt', 'yoghurt', 'dahi'],
+    ['spinach', 'palak'],
+    ['potato', 'aloo'],
+    ['tomato', 'tamatar'],
+    ['onion', 'pyaz', 'pyaaz'],
+    ['cauliflower', 'gobi'],
+    ['courgette', 'zucchini'],
+    ['rocket', 'arugula'],
+    ['groundnut', 'peanut'],
+    ['millet', 'bajra', 'jowar', 'ragi']
+];
+
+let index = new Map();
+let documents = new Map();
+const synonyms = new Map();
+let builtAt = 0;
+let building = null;
+// Changes from the model hooks while a rebuild reads the catalogue. The read
+// may have missed them, so they are replayed on the new index.
+let pendingChanges = null;
+
+// Reduce simple English plurals, so "tomatoes" and "tomatos" both index as "tomato"
+const stem = (word) => {
+    if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+    if (word.length > 4 && /(oes|shes|ches|xes|sses)$/.test(word)) return word.slice(0, -2);
+    if (word.length > 3 && word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+    return word;
+};
+
+const normalize = (text) => String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+
+const tokenize = (text) => normalize(text)
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !STOP_WORDS.has(word))
+    .map(stem);
+
+const addSynonyms = (group) => {
+    const terms = group.map(term => stem(normalize(term).replace(/[^a-z0-9]/g, '')));
+    for (const term of terms) {
+        const related = synonyms.get(term) || new Set();
+        for (const other of terms) {
+            if (other !== term) related.add(other);
+        }
+        synonyms.set(term, related);
+    }
+};
+
+SYNONYM_GROUPS.forEach(addSynonyms);
+
+// Damerau-Levenshtein distance, giving up early once it exceeds max
+const editDistance = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let previous2 = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], previous2[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        previous2 = previous;
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+// Typos allowed for a query term of the given length
+const allowedTypos = (length) => {
+    if (length >= 8) return 2;
+    if (length >= 4) return 1;
+    return 0;
+};
+
+const removeFromIndex = (id) => {
+    const doc = documents.get(id);
+    if (!doc) return;
+    for (const term of doc.terms) {
+        const postings = index.get(term);
+        if (!postings) continue;
+        postings.delete(id);
+        if (postings.size === 0) index.delete(term);
+    }
+    documents.delete(id);
+};
+
+const addToIndex = (product) => {
+    const id = product._id.toString();
+    removeFromIndex(id);
+
+    const fields = {};
+    const terms = new Set();
+    for (const field of FIELDS) {
+        fields[field] = product[field] || '';
+        for (const term of tokenize(fields[field])) {
+            terms.add(term);
+            if (!index.has(term)) index.set(term, new Map());
+            const postings = index.get(term);
+            if (!postings.has(id)) postings.set(id, {});
+            const counts = postings.get(id);
+            counts[field] = (counts[field] || 0) + 1;
+        }
+    }
+    documents.set(id, { fields, terms });
+};
+
+const loadIndex = async () => {
+    pendingChanges = [];
+    try {
+        const products = await Product.find().select(FIELDS.join(' ')).lean();
+        index = new Map();
+        documents = new Map();
+        products.forEach(addToIndex);
+        pendingChanges.forEach(change => change());
+        builtAt = Date.now();
+    } finally {
+        pendingChanges = null;
+    }
+};
+
+// Rebuild the index from the database, joining a rebuild already running
+const rebuild = () => {
+    if (!building) {
+        building = loadIndex().finally(() => { building = null; });
+        // A failed refresh leaves the previous index in place
+        building.catch(error => console.error('Error rebuilding search index:', error));
+    }
+    return building;
+};
+
+const ensureIndex = async () => {
+    if (builtAt && Date.now() - builtAt < REFRESH_MS) return;
+    const refresh = rebuild();
+    // Serve from the stale index while a refresh runs, if there is one
+    if (!builtAt) await refresh;
+};
+
+// Apply a change to the index once it has been built, and to the one being built
+const applyChange = (change) => {
+    if (pendingChanges) pendingChanges.push(change);
+    if (builtAt) change();
+};
+
+// Called from the Product model hooks
+const indexProduct = (product) => {
+    if (product) applyChange(() => addToIndex(product));
+};
+
+const removeProduct = (id) => {
+    if (id) applyChange(() => removeFromIndex(id.toString()));
+};
+
+// Index terms a single query term matches, with the weight of each match
+const expandTerm = (term) => {
+    const matches = new Map();
+    const add = (candidate, weight) => {
+        if (index.has(candidate) && (matches.get(candidate) || 0) < weight) {
+            matches.set(candidate, weight);
+        }
+    };
+
+    add(term, MATCH_WEIGHTS.exact);
+    for (const synonym of synonyms.get(term) || []) {
+        add(synonym, MATCH_WEIGHTS.synonym);
+    }
+
+    const typos = allowedTypos(term.length);
+    for (const candidate of index.keys()) {
+        if (candidate === term) continue;
+        if (term.length >= 2 && candidate.startsWith(term)) {
+            add(candidate, MATCH_WEIGHTS.prefix);
+        } else if (typos && editDistance(term, candidate, typos) <= typos) {
+            add(candidate, MATCH_WEIGHTS.fuzzy);
+        }
+    }
+    // A misspelt synonym still finds its variants, e.g. "brinjol" finds "eggplant"
+    if (typos) {
+        for (const [word, related] of synonyms) {
+            if (word === term || editDistance(term, word, typos) > typos) continue;
+            for (const synonym of [word, ...related]) {
+                add(synonym, MATCH_WEIGHTS.fuzzy * MATCH_WEIGHTS.synonym);
+            }
+        }
+    }
+    return matches;
+};
+
+// Search the catalogue. Products must match every query term unless none do,
+// in which case products matching any term are returned. Only the start of a
+// long query is used (see MAX_QUERY_LENGTH and MAX_QUERY_TERMS). Results are
+// sorted by score, highest first: [{ id, score, terms }] where terms are the
+// index terms that matched, for highlighting.
+const search = async (query) => {
+    const queryTerms = [...new Set(tokenize(String(query).slice(0, MAX_QUERY_LENGTH)))]
+        .slice(0, MAX_QUERY_TERMS);
+    if (queryTerms.length === 0) return [];
+
+    await ensureIndex();
+
+    const totalDocs = documents.size || 1;
+    const results = new Map();
+    for (const queryTerm of queryTerms) {
+        for (const [term, matchWeight] of expandTerm(queryTerm)) {
+            const postings = index.get(term);
+            const idf = Math.log(1 + totalDocs / postings.size);
+            for (const [id, counts] of postings) {
+                let fieldScore = 0;
+                for (const field of FIELDS) {
+                    const count = counts[field] || 0;
+                    // Saturate repeated occurrences so long descriptions do not dominate
+                    fieldScore += FIELD_WEIGHTS[field] * (count / (count + 1));
+                }
+                if (!results.has(id)) {
+                    results.set(id, { id, score: 0, terms: new Set(), matchedQueryTerms: new Map() });
+                }
+                const result = results.get(id);
+                const score = matchWeight * idf * fieldScore;
+                // Count only the best match per query term towards the score
+                const previous = result.matchedQueryTerms.get(queryTerm) || 0;
+                if (score > previous) {
+                    result.score += score - previous;
+                    result.matchedQueryTerms.set(queryTerm, score);
+                }
+                result.terms.add(term);
+            }
+        }
+    }
+
+    let matches = [...results.values()];
+    const matchingAll = matches.filter(result => result.matchedQueryTerms.size === queryTerms.length);
+    if (matchingAll.length > 0) matches = matchingAll;
+
+    return matches
+        .map(({ id, score, terms }) => ({ id, score: Math.round(score * 1000) / 1000, terms }))
+        .sort((a, b) => b.score - a.score);
+};
+
+const escapeHtml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Wrap the words of text whose index term matched in <mark> tags. Long text is
+// cut down to a snippet around the first match. Returns null if nothing matched.
+const highlightText = (text, terms, snippetLength = 160) => {
+    const source = String(text || '');
+    const words = [];
+    const pattern = /[\p{L}\p{N}]+/gu;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+        const term = stem(normalize(match[0]));
+        if (terms.has(term)) {
+            words.push({ start: match.index, end: match.index + match[0].length });
+        }
+    }
+    if (words.length === 0) return null;
+
+    let start = 0;
+    let end = source.length;
+    if (source.length > snippetLength) {
+        start = Math.max(0, words[0].start - Math.floor(snippetLength / 4));
+        end = Math.min(source.length, start + snippetLength);
+    }
+
+    let output = start > 0 ? '…' : '';
+    let position = start;
+    for (const word of words) {
+        if (word.start < start || word.end > end) continue;
+        output += escapeHtml(source.slice(position, word.start));
+        output += `<mark>${escapeHtml(source.slice(word.start, word.end))}</mark>`;
+        position = word.end;
+    }
+    output += escapeHtml(source.slice(position, end));
+    if (end < source.length) output += '…';
+    return output;
+};
+
+// Highlighted versions of each searchable field of a product that matched
+const highlight = (product, terms) => {
+    const highlights = {};
+    for (const field of FIELDS) {
+        const text = highlightText(product[field], terms);
+        if (text) highlights[field] = text;
+    }
+    return highlights;
+};
+
+module.exports = {
+    search,
+    highlight,
+    indexProduct,
+    removeProduct,
+    addSynonyms,
+    rebuild
+};
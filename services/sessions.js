@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+// Access tokens are short-lived; refresh tokens last REFRESH_TOKEN_TTL_DAYS
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without a scan
+const generateRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+
+const newRefreshToken = (session) => {
+    const token = generateRefreshToken(session._id);
+    session.refreshTokenHash = hashToken(token);
+    return token;
+};
+
+const signAccessToken = (session) => {
+    return jwt.sign(
+        { id: session.user, sid: session._id },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+};
+
+const describeRequest = (req) => ({
+    device: (req.body && req.body.device) || req.header('User-Agent'),
+    ip: req.ip
+});
+
+// Start a new session for a user who has just signed in
+const createSession = async (user, req) => {
+    const session = new Session({
+        user: user._id,
+        ...describeRequest(req),
+        expiresAt: refreshExpiry()
+    });
+    const refreshToken = newRefreshToken(session);
+    await session.save();
+
+    return {
+        session,
+        token: signAccessToken(session),
+        refreshToken
+    };
+};
+
+// Exchange a refresh token for a new access token and a new refresh token.
+// Presenting an already-rotated refresh token means it was copied, so the
+// whole session is revoked.
+const rotateSession = async (refreshToken, req) => {
+    const [sessionId] = String(refreshToken || '').split('.');
+    if (!sessionId || !sessionId.match(/^[0-9a-f]{24}$/)) {
+        throw new Error('Invalid refresh token');
+    }
+
+    // Rotate in one conditional update so that of two concurrent refreshes with
+    // the same token only one succeeds; the other is treated as reuse
+    const nextRefreshToken = generateRefreshToken(sessionId);
+    const session = await Session.findOneAndUpdate(
+        {
+            _id: sessionId,
+            refreshTokenHash: hashToken(refreshToken),
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        },
+        {
+            $set: {
+                ...describeRequest(req),
+                refreshTokenHash: hashToken(nextRefreshToken),
+                lastSeenAt: new Date(),
+                expiresAt: refreshExpiry()
+            }
+        },
+        { new: true }
+    );
+
+    if (!session) {
+        await Session.updateOne(
+            { _id: sessionId, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: 'refresh_token_reuse' } }
+        );
+        throw new Error('Invalid refresh token');
+    }
+
+    return {
+        session,
+        token: signAccessToken(session),
+        refreshToken: nextRefreshToken
+    };
+};
+
+// Verify an access token and return its user and session. Throws if the token
+// is invalid or expired, or its session has been revoked.
+const verifyAccessToken = async (token) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!decoded.sid) {
+        throw new Error('Invalid token');
+    }
+
+    const session = await Session.findById(decoded.sid);
+    if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+        throw new Error('Session has been revoked');
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user || user.disabled) {
+        throw new Error('Invalid token');
+    }
+
+    if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_RESOLUTION_MS) {
+        await Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date() } });
+    }
+
+    return { user, session };
+};
+
+// Revoke every active session of a user, optionally keeping one
+const revokeUserSessions = async (userId, reason = 'logout_all', exceptSessionId = null) => {
+    const query = { user: userId, revokedAt: null };
+    if (exceptSessionId) {
+        query._id = { $ne: exceptSessionId };
+    }
+    const result = await Session.updateMany(query, {
+        $set: { revokedAt: new Date(), revokedReason: reason }
+    });
+    return result.modifiedCount;
+};
+
+module.exports = {
+    createSession,
+    rotateSession,
+    verifyAccessToken,
+    revokeUserSessions
+};
@@ -0,0 +1,47 @@
+// Pluggable outgoing SMS. The transport is chosen with SMS_TRANSPORT; the
+// built-in "console" transport only logs messages, for local development. A
+// real gateway can be added with registerTransport() from integrations.js.
+
+const consoleTransport = {
+    send: async (message) => {
+        console.log(`[sms] To: ${message.to}\n[sms] ${message.text}`);
+    }
+};
+
+const transports = {
+    console: consoleTransport
+};
+
+const registerTransport = (name, transport) => {
+    if (!transport || typeof transport.send !== 'function') {
+        throw new Error('SMS transport must have a send function');
+    }
+    transports[name] = transport;
+};
+
+// Check the transport at startup. Production must name a real gateway, since
+// the console transport would put sign-in codes in the server logs.
+const assertConfigured = () => {
+    const name = process.env.SMS_TRANSPORT;
+    if (name && !transports[name]) {
+        throw new Error(`Unknown SMS transport ${name}`);
+    }
+    if (process.env.NODE_ENV === 'production' && (!name || name === 'console')) {
+        throw new Error('SMS_TRANSPORT must be set to a real SMS gateway in production');
+    }
+};
+
+const sendSms = async ({ to, text }) => {
+    const name = process.env.SMS_TRANSPORT || 'console';
+    const transport = transports[name];
+    if (!transport) {
+        throw new Error(`Unknown SMS transport ${name}`);
+    }
+    await transport.send({ to, text });
+};
+
+module.exports = {
+    registerTransport,
+    assertConfigured,
+    sendSms
+};
@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+// TOTP per RFC 6238: 6 digits, 30 second steps, SHA-1, as expected by
+// Google Authenticator, Authy and similar apps
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'FarmBros';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+// Accept codes from one step either side to allow for clock drift
+const DRIFT_STEPS = 1;
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+const SECRET_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorBackupCodes +twoFactorLastStep';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) {
+        bits += byte.toString(2).padStart(8, '0');
+    }
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+};
+
+const base32Decode = (input) => {
+    let bits = '';
+    for (const char of input.replace(/=+$/, '').toUpperCase()) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) {
+            throw new Error('Invalid base32 secret');
+        }
+        bits += value.toString(2).padStart(5, '0');
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+const generateCode = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % (10 ** DIGITS)).padStart(DIGITS, '0');
+};
+
+// Time step the code matches, or null
+const matchStep = (secret, code) => {
+    const current = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+    for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+const hashBackupCode = (code) => {
+    return crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+};
+
+// Backup codes look like "a1b2-c3d4"; only their hashes are stored
+const issueBackupCodes = (user) => {
+    const codes = [];
+    for (let i = 0; i < BACKUP_CODE_COUNT; i++) {
+        const raw = crypto.randomBytes(4).toString('hex');
+        codes.push(`${raw.slice(0, 4)}-${raw.slice(4)}`);
+    }
+    user.twoFactorBackupCodes = codes.map(hashBackupCode);
+    return codes;
+};
+
+const invalidCode = () => Object.assign(new Error('Invalid authentication code'), { status: 400 });
+
+const loadWithSecrets = (userId) => User.findById(userId).select(SECRET_FIELDS);
+
+// Roles that must use a second factor, from TWO_FACTOR_REQUIRED_ROLES
+// (comma separated, default "admin"; set it to an empty string to make 2FA optional for everyone)
+const getRequiredRoles = () => {
+    const roles = process.env.TWO_FACTOR_REQUIRED_ROLES;
+    return (roles === undefined ? 'admin' : roles)
+        .split(',')
+        .map(role => role.trim())
+        .filter(Boolean);
+};
+
+const isTwoFactorRequired = (user) => getRequiredRoles().includes(user.role);
+
+// Whether signing in needs a second step: the user has 2FA on, or their role
+// requires it and they still have to enroll
+const needsSecondFactor = (user) => user.twoFactorEnabled || isTwoFactorRequired(user);
+
+// Short-lived token proving the password was correct. It is only accepted by
+// the 2FA endpoints, never as an access token.
+const createChallengeToken = (user) => {
+    return jwt.sign(
+        { id: user._id, purpose: '2fa' },
+        process.env.JWT_SECRET,
+        { expiresIn: CHALLENGE_TTL }
+    );
+};
+
+const verifyChallengeToken = async (token) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+    } catch (error) {
+        decoded = null;
+    }
+    if (!decoded || decoded.purpose !== '2fa') {
+        throw Object.assign(new Error('Invalid or expired challenge token'), { status: 401 });
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user || user.disabled) {
+        throw Object.assign(new Error('Invalid or expired challenge token'), { status: 401 });
+    }
+    return user;
+};
+
+// Start enrollment: issue a new secret and the otpauth:// URI to show as a QR code
+const startEnrollment = async (user) => {
+    if (user.twoFactorEnabled) {
+        throw Object.assign(new Error('Two-factor authentication is already enabled'), { status: 400 });
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+    await User.updateOne({ _id: user._id }, { $set: { twoFactorPendingSecret: secret } });
+
+    const label = encodeURIComponent(`${ISSUER}:${user.email || user.phone}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: ISSUER,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return {
+        secret,
+        otpauthUrl: `otpauth://totp/${label}?${params}`
+    };
+};
+
+// Finish enrollment with a code from the authenticator app. Returns the
+// backup codes, which are only shown this once.
+const confirmEnrollment = async (userId, code) => {
+    const user = await loadWithSecrets(userId);
+    if (user.twoFactorEnabled) {
+        throw Object.assign(new Error('Two-factor authentication is already enabled'), { status: 400 });
+    }
+    if (!user.twoFactorPendingSecret) {
+        throw Object.assign(new Error('Start two-factor setup first'), { status: 400 });
+    }
+
+    const step = /^\d{6}$/.test(String(code)) ? matchStep(user.twoFactorPendingSecret, String(code)) : null;
+    if (step === null) {
+        throw invalidCode();
+    }
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    user.twoFactorLastStep = step;
+    const backupCodes = issueBackupCodes(user);
+    await user.save();
+
+    return { user, backupCodes };
+};
+
+// Check a TOTP code or an unused backup code. Backup codes are consumed.
+// Returns the method that matched. Both are recorded with conditional
+// updates, so a code sent by concurrent requests is only accepted once.
+const verifySecondFactor = async (userId, code) => {
+    const user = await loadWithSecrets(userId);
+    if (!user.twoFactorEnabled || !code) {
+        throw invalidCode();
+    }
+
+    const value = String(code).trim();
+    if (/^\d{6}$/.test(value)) {
+        const step = matchStep(user.twoFactorSecret, value);
+        if (step === null) {
+            throw invalidCode();
+        }
+        const accepted = await User.updateOne(
+            {
+                _id: user._id,
+                twoFactorEnabled: true,
+                $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: step } }]
+            },
+            { $set: { twoFactorLastStep: step } }
+        );
+        if (accepted.modifiedCount === 0) {
+            throw invalidCode();
+        }
+        return 'totp';
+    }
+
+    const hash = hashBackupCode(value);
+    const used = await User.updateOne(
+        { _id: user._id, twoFactorEnabled: true, twoFactorBackupCodes: hash },
+        { $pull: { twoFactorBackupCodes: hash } }
+    );
+    if (used.modifiedCount === 0) {
+        throw invalidCode();
+    }
+    return 'backup_code';
+};
+
+// Replace every backup code with a fresh set
+const regenerateBackupCodes = async (userId) => {
+    const user = await loadWithSecrets(userId);
+    const backupCodes = issueBackupCodes(user);
+    await user.save();
+    return backupCodes;
+};
+
+const disableTwoFactor = async (userId) => {
+    await User.updateOne({ _id: userId }, {
+        $set: { twoFactorEnabled: false },
+        $unset: {
+            twoFactorEnabledAt: 1,
+            twoFactorSecret: 1,
+            twoFactorPendingSecret: 1,
+            twoFactorBackupCodes: 1,
+            twoFactorLastStep: 1
+        }
+    });
+};
+
+module.exports = {
+    isTwoFactorRequired,
+    needsSecondFactor,
+    createChallengeToken,
+    verifyChallengeToken,
+    startEnrollment,
+    confirmEnrollment,
+    verifySecondFactor,
+    regenerateBackupCodes,
+    disableTwoFactor
+};
@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const VerificationCode = require('../models/VerificationCode');
+const User = require('../models/User');
+const { sendMail } = require('./mailer');
+const { sendSms } = require('./sms');
+
+const CODE_TTL_MINUTES = Number(process.env.VERIFICATION_CODE_TTL_MINUTES) || 15;
+const MAX_ATTEMPTS = Number(process.env.VERIFICATION_MAX_ATTEMPTS) || 5;
+// Resend limits: a minimum gap between codes, and a cap per hour
+const RESEND_INTERVAL_SECONDS = Number(process.env.VERIFICATION_RESEND_INTERVAL_SECONDS) || 60;
+const MAX_SENDS_PER_HOUR = Number(process.env.VERIFICATION_MAX_SENDS_PER_HOUR) || 5;
+// Cap on sign-in codes one address can request, whatever numbers it sends them to
+const MAX_LOGIN_SENDS_PER_IP_PER_HOUR = Number(process.env.LOGIN_CODE_MAX_SENDS_PER_IP_PER_HOUR) || 20;
+
+const FLAGS = {
+    email: 'emailVerified',
+    phone: 'phoneVerified'
+};
+
+const hashCode = (code, userId) => {
+    return crypto.createHash('sha256').update(`${userId}:${code}`).digest('hex');
+};
+
+// Checkout rules: a verified email is required unless disabled with
+// REQUIRE_VERIFIED_EMAIL=false; a verified phone only with REQUIRE_VERIFIED_PHONE=true
+const getCheckoutRequirements = () => ({
+    email: process.env.REQUIRE_VERIFIED_EMAIL !== 'false',
+    phone: process.env.REQUIRE_VERIFIED_PHONE === 'true'
+});
+
+// Which of the user's contacts still have to be verified before checkout.
+// Accounts without an email verify their phone in its place.
+const getMissingVerifications = (user) => {
+    const required = getCheckoutRequirements();
+    if (required.email && !user.email) {
+        required.email = false;
+        required.phone = true;
+    }
+    return Object.keys(FLAGS).filter(channel => required[channel] && !user[FLAGS[channel]]);
+};
+
+const tooManyError = (message, retryAfter) => {
+    return Object.assign(new Error(message), { status: 429, retryAfter: Math.ceil(retryAfter) });
+};
+
+// Enforce the resend limits over the codes matching the query
+const assertCanSend = async (query) => {
+    const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+    const recent = await VerificationCode.find({ ...query, createdAt: { $gte: hourAgo } })
+        .sort({ createdAt: -1 });
+    if (recent.length > 0) {
+        const sinceLast = (Date.now() - recent[0].createdAt.getTime()) / 1000;
+        if (sinceLast < RESEND_INTERVAL_SECONDS) {
+            throw tooManyError('Please wait before requesting another code', RESEND_INTERVAL_SECONDS - sinceLast);
+        }
+    }
+    if (recent.length >= MAX_SENDS_PER_HOUR) {
+        const oldest = recent[recent.length - 1].createdAt.getTime();
+        throw tooManyError('Too many codes requested. Please try again later', (oldest + 60 * 60 * 1000 - Date.now()) / 1000);
+    }
+};
+
+// Count an attempt on a code before it is compared. The increment is
+// conditional, so concurrent guesses cannot use more than MAX_ATTEMPTS between
+// them. Returns null when the code is used up, expired or out of attempts.
+const claimAttempt = (record) => VerificationCode.findOneAndUpdate(
+    { _id: record._id, usedAt: null, expiresAt: { $gt: new Date() }, attempts: { $lt: MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+);
+
+// Use up a code. Returns false if a concurrent request used it first.
+const consumeCode = async (record) => {
+    const result = await VerificationCode.updateOne(
+        { _id: record._id, usedAt: null },
+        { $set: { usedAt: new Date() } }
+    );
+    return result.modifiedCount === 1;
+};
+
+const newCode = () => crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+// Send a new verification code for the user's current email or phone.
+// Throws an error with status 429 and retryAfter (seconds) when rate limited.
+const sendVerificationCode = async (user, channel) => {
+    const target = channel === 'email' ? user.email : user.phone;
+    if (!FLAGS[channel]) {
+        throw Object.assign(new Error('Channel must be one of: email, phone'), { status: 400 });
+    }
+    if (!target) {
+        throw Object.assign(new Error(`No ${channel} on this account`), { status: 400 });
+    }
+    if (user[FLAGS[channel]]) {
+        throw Object.assign(new Error(`${channel === 'email' ? 'Email' : 'Phone'} is already verified`), { status: 400 });
+    }
+
+    await assertCanSend({ user: user._id, channel });
+
+    const code = newCode();
+    await VerificationCode.create({
+        user: user._id,
+        channel,
+        target,
+        codeHash: hashCode(code, user._id),
+        expiresAt: new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000)
+    });
+
+    const text = `Your FarmBros verification code is ${code}. It expires in ${CODE_TTL_MINUTES} minutes.`;
+    if (channel === 'email') {
+        await sendMail({ to: target, subject: 'Verify your FarmBros email', text });
+    } else {
+        await sendSms({ to: target, text });
+    }
+};
+
+// Check a code against the latest one sent on the channel and mark the
+// contact verified. Each code allows a limited number of attempts and works once.
+const confirmVerificationCode = async (user, channel, code) => {
+    if (!FLAGS[channel]) {
+        throw Object.assign(new Error('Channel must be one of: email, phone'), { status: 400 });
+    }
+    const target = channel === 'email' ? user.email : user.phone;
+
+    const record = await VerificationCode.findOne({ user: user._id, channel, usedAt: null })
+        .sort({ createdAt: -1 });
+    if (!record || record.target !== target || !(await claimAttempt(record)) ||
+        record.codeHash !== hashCode(String(code), user._id)) {
+        throw Object.assign(new Error('Verification code is invalid or has expired'), { status: 400 });
+    }
+
+    // A phone number can only be verified on one account
+    if (channel === 'phone') {
+        const owner = await User.exists({ _id: { $ne: user._id }, phone: target, phoneVerified: true });
+        if (owner) {
+            throw Object.assign(new Error('This phone number is already verified on another account'), { status: 409 });
+        }
+    }
+
+    if (!(await consumeCode(record))) {
+        throw Object.assign(new Error('Verification code is invalid or has expired'), { status: 400 });
+    }
+
+    user[FLAGS[channel]] = true;
+    await user.save();
+    return user;
+};
+
+// Send a sign-in code to a phone number. The number does not need to belong
+// to an account yet; verifying the code can create one.
+const sendLoginCode = async (phone, ip) => {
+    await assertCanSend({ purpose: 'login', target: phone });
+
+    const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+    const fromIp = await VerificationCode.find({ purpose: 'login', ip, createdAt: { $gte: hourAgo } })
+        .sort({ createdAt: 1 })
+        .limit(MAX_LOGIN_SENDS_PER_IP_PER_HOUR);
+    if (fromIp.length >= MAX_LOGIN_SENDS_PER_IP_PER_HOUR) {
+        const retryAfter = (fromIp[0].createdAt.getTime() + 60 * 60 * 1000 - Date.now()) / 1000;
+        throw tooManyError('Too many codes requested. Please try again later', retryAfter);
+    }
+
+    const code = newCode();
+    await VerificationCode.create({
+        purpose: 'login',
+        channel: 'phone',
+        target: phone,
+        codeHash: hashCode(code, `login:${phone}`),
+        expiresAt: new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000),
+        ip
+    });
+
+    await sendSms({
+        to: phone,
+        text: `Your FarmBros sign-in code is ${code}. It expires in ${CODE_TTL_MINUTES} minutes. Never share it with anyone.`
+    });
+};
+
+// Check a sign-in code against the latest one sent to the phone number and use it
+// up. Each code allows a limited number of attempts and works once.
+const confirmLoginCode = async (phone, code) => {
+    const record = await VerificationCode.findOne({ purpose: 'login', target: phone, usedAt: null })
+        .sort({ createdAt: -1 });
+    if (!record || !(await claimAttempt(record)) ||
+        record.codeHash !== hashCode(String(code), `login:${phone}`) || !(await consumeCode(record))) {
+        throw Object.assign(new Error('Sign-in code is invalid or has expired'), { status: 400 });
+    }
+};
+
+module.exports = {
+    getCheckoutRequirements,
+    getMissingVerifications,
+    sendVerificationCode,
+    confirmVerificationCode,
+    sendLoginCode,
+    confirmLoginCode
+};
@@ -0,0 +1,88 @@
+const zlib = require('zlib');
+
+// Minimal ZIP writer for small in-memory archives such as data exports.
+// Entries are deflated; no ZIP64, so archives must stay under 4 GB.
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+const crc32 = (buffer) => {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date and time fields used by ZIP headers
+const dosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// Build a ZIP archive from { 'name.csv': string | Buffer, ... }
+const createZip = (files, modifiedAt = new Date()) => {
+    const { time, date } = dosDateTime(modifiedAt);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const [name, content] of Object.entries(files)) {
+        const fileName = Buffer.from(name, 'utf8');
+        const data = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);           // version needed
+        local.writeUInt16LE(0x0800, 6);       // UTF-8 file names
+        local.writeUInt16LE(8, 8);            // deflate
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(fileName.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);         // version made by
+        central.writeUInt16LE(20, 6);         // version needed
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(fileName.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, fileName, compressed);
+        centralParts.push(central, fileName);
+        offset += local.length + fileName.length + compressed.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Object.keys(files).length, 8);
+    end.writeUInt16LE(Object.keys(files).length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+module.exports = { createZip };
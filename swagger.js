@@ -28,6 +28,12 @@ const options = {
           type: 'http',
           scheme: 'bearer',
           bearerFormat: 'JWT'
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'Admin-issued API key for integrations, limited to the permissions it was issued with'
         }
       },
       schemas: {
@@ -80,7 +86,7 @@ const options = {
           properties: {
             name: { type: 'string' },
             email: { type: 'string' },
-            password: { type: 'string' },
+            password: { type: 'string', writeOnly: true, description: 'Accepted on registration, never returned' },
             addresses: {
               type: 'array',
               items: {
@@ -107,8 +113,13 @@ const options = {
               }
             },
             phone: { type: 'string' },
+            emailVerified: { type: 'boolean' },
+            phoneVerified: { type: 'boolean' },
+            disabled: { type: 'boolean' },
+            twoFactorEnabled: { type: 'boolean' },
+            deletionScheduledFor: { type: 'string', format: 'date-time', description: 'Set while an account deletion is pending' },
             profilePicture: { type: 'string' },
-            role: { type: 'string', enum: ['user', 'admin'] },
+            role: { type: 'string', example: 'user', description: 'Name of a role; built-in roles are user, seller, support and admin' },
             preferences: {
               type: 'object',
               properties: {
@@ -306,9 +317,24 @@ const options = {
             },
             seller: { type: 'string' },
             farmLocation: { type: 'string' },
+            farmCoordinates: {
+              type: 'object',
+              description: 'GeoJSON point of the farm, used for distance searches',
+              properties: {
+                type: { type: 'string', enum: ['Point'] },
+                coordinates: {
+                  type: 'array',
+                  items: { type: 'number' },
+                  minItems: 2,
+                  maxItems: 2,
+                  description: '[longitude, latitude]'
+                }
+              }
+            },
             organic: { type: 'boolean' },
             harvestDate: { type: 'string', format: 'date' },
             expiryDate: { type: 'string', format: 'date' },
+            unitsSold: { type: 'number', readOnly: true, description: 'Units sold net of returns' },
             quantityHistory: {
               type: 'array',
               items: {
@@ -329,6 +355,10 @@ const options = {
         Order: {
           type: 'object',
           properties: {
+            user: {
+              type: 'string',
+              description: 'User ID of the buyer who placed the order'
+            },
             items: {
               type: 'array',
               items: {
@@ -362,7 +392,47 @@ const options = {
             orderStatus: {
               type: 'string',
               enum: ['processing', 'shipped', 'delivered', 'cancelled']
-            }
+            },
+            statusHistory: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  from: { type: 'string' },
+                  status: { type: 'string' },
+                  changedBy: { type: 'string' },
+                  changedAt: { type: 'string', format: 'date-time' },
+                  note: { type: 'string' }
+                }
+              }
+            },
+            fulfillments: {
+              type: 'array',
+              description: 'One fulfillment group per seller, each shipped and tracked separately',
+              items: {
+                type: 'object',
+                properties: {
+                  _id: { type: 'string' },
+                  seller: { type: 'string' },
+                  items: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'IDs of the order items in this group'
+                  },
+                  status: {
+                    type: 'string',
+                    enum: ['PENDING', 'PROCESSING', 'SHIPPED', 'DELIVERED', 'CANCELLED']
+                  },
+                  trackingNumber: { type: 'string' },
+                  shippedAt: { type: 'string', format: 'date-time' },
+                  deliveryDate: { type: 'string', format: 'date-time' },
+                  cancelledAt: { type: 'string', format: 'date-time' }
+                }
+              }
+            },
+            shippedAt: { type: 'string', format: 'date-time' },
+            cancelledAt: { type: 'string', format: 'date-time' },
+            deliveryDate: { type: 'string', format: 'date-time' }
           }
         }
       }